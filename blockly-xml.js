@@ -0,0 +1,157 @@
+/**
+ * @fileoverview Reads the Blockly XML kept in sprite.workspaceXml into plain
+ * block objects. It needs neither Blockly nor the DOM, so the runtime can
+ * compile scripts in Node as well as in the browser.
+ *
+ * A block looks like:
+ *   { id, type, x, y, disabled, fields: {NAME: 'text'},
+ *     inputs: {NAME: block}, statements: {NAME: block}, next: block,
+ *     mutation: {attributes, children}, parent: block }
+ */
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return entity in ENTITIES ? ENTITIES[entity] : match;
+    });
+}
+
+function parseAttributes(text) {
+    const attributes = {};
+    const pattern = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        attributes[match[1]] = decodeEntities(match[3] !== undefined ? match[3] : match[4]);
+    }
+    return attributes;
+}
+
+/**
+ * Parses XML text into a tree of { name, attributes, children, text } nodes.
+ * Only handles what Blockly writes: elements, text, comments and CDATA.
+ * @param {string} xmlText The XML.
+ * @return {!Object} The root element.
+ */
+function parseXmlElements(xmlText) {
+    const root = { name: '#document', attributes: {}, children: [], text: '' };
+    const stack = [root];
+    const pattern = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+    let match;
+    while ((match = pattern.exec(xmlText)) !== null) {
+        const current = stack[stack.length - 1];
+        const [, cdata, closingName, openingName, attributeText, selfClosing, text] = match;
+        if (cdata !== undefined) {
+            current.text += cdata;
+        } else if (closingName !== undefined) {
+            if (stack.length > 1) stack.pop();
+        } else if (openingName !== undefined) {
+            const element = { name: openingName, attributes: parseAttributes(attributeText), children: [], text: '' };
+            current.children.push(element);
+            if (!selfClosing) stack.push(element);
+        } else if (text !== undefined) {
+            current.text += decodeEntities(text);
+        }
+    }
+    return root;
+}
+
+/**
+ * Turns a <block> or <shadow> element into a plain block.
+ * @param {!Object} element The element.
+ * @param {?Object} parent The block this one is connected to.
+ * @return {!Object} The block.
+ */
+function elementToBlock(element, parent) {
+    const block = {
+        id: element.attributes.id || '',
+        type: element.attributes.type || '',
+        x: Number(element.attributes.x) || 0,
+        y: Number(element.attributes.y) || 0,
+        disabled: element.attributes.disabled === 'true',
+        fields: {},
+        inputs: {},
+        statements: {},
+        next: null,
+        mutation: null,
+        parent,
+    };
+
+    // A real block plugged into an input hides the shadow underneath it.
+    const connectedBlock = (container) => {
+        const child = container.children.find(el => el.name === 'block') ||
+            container.children.find(el => el.name === 'shadow');
+        return child ? elementToBlock(child, block) : null;
+    };
+
+    element.children.forEach(child => {
+        const name = child.attributes.name;
+        switch (child.name) {
+            case 'field':
+                block.fields[name] = child.text;
+                break;
+            case 'value':
+                block.inputs[name] = connectedBlock(child);
+                break;
+            case 'statement':
+                block.statements[name] = connectedBlock(child);
+                break;
+            case 'next':
+                block.next = connectedBlock(child);
+                break;
+            case 'mutation':
+                block.mutation = child;
+                break;
+        }
+    });
+    return block;
+}
+
+/**
+ * Reads the top blocks of a workspace, in the same top-to-bottom order as
+ * Blockly's workspace.getTopBlocks(true).
+ * @param {?string} xmlText The workspace XML, e.g. sprite.workspaceXml.
+ * @return {!Array<!Object>} The top blocks.
+ */
+export function parseWorkspaceXml(xmlText) {
+    if (!xmlText) return [];
+    const document = parseXmlElements(xmlText);
+    const xml = document.children.find(el => el.name === 'xml') || document;
+    const offset = Math.sin(3 * Math.PI / 180);
+    return xml.children
+        .filter(el => el.name === 'block')
+        .map(el => elementToBlock(el, null))
+        .sort((a, b) => (a.y + offset * a.x) - (b.y + offset * b.x));
+}
+
+/**
+ * Finds a block anywhere under the given top blocks.
+ * @param {!Array<!Object>} topBlocks The top blocks of a workspace.
+ * @param {string} blockId The id to look for.
+ * @return {?Object} The block, or null.
+ */
+export function findBlockById(topBlocks, blockId) {
+    const pending = [...topBlocks];
+    while (pending.length > 0) {
+        const block = pending.pop();
+        if (!block) continue;
+        if (block.id === blockId) return block;
+        pending.push(...Object.values(block.inputs), ...Object.values(block.statements), block.next);
+    }
+    return null;
+}
+
+/**
+ * Returns the top block of the stack a block belongs to.
+ * @param {!Object} block The block.
+ * @return {!Object} Its root block.
+ */
+export function getRootBlock(block) {
+    let root = block;
+    while (root.parent) root = root.parent;
+    return root;
+}
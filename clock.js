@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Runtime clock for the KidiCode application.
+ * All timed blocks (waits, glides, jumps, movement) read their time from one
+ * RuntimeClock, so pausing, slow motion and coming back to a background tab
+ * affect every block in the same way.
+ */
+
+export class RuntimeClock {
+    /**
+     * @param {{maxDeltaMs: (number|undefined)}=} options maxDeltaMs caps how
+     *     far one frame can advance the clock, e.g. after the tab was hidden.
+     */
+    constructor({ maxDeltaMs = 100 } = {}) {
+        this.maxDeltaMs = maxDeltaMs;
+        this.time = 0; // Runtime milliseconds elapsed.
+        this.deltaTime = 0; // Runtime milliseconds added by the last frame.
+        this.speed = 1; // 0.5 is slow motion, 2 is turbo.
+        this.isPaused = false;
+        this.lastTimestamp = null;
+    }
+
+    /**
+     * Advances the clock to a new animation frame.
+     * @param {number} timestamp The requestAnimationFrame timestamp in ms.
+     */
+    update(timestamp) {
+        const realDelta = this.lastTimestamp === null ? 0 : timestamp - this.lastTimestamp;
+        this.lastTimestamp = timestamp;
+
+        const cappedDelta = Math.min(Math.max(0, realDelta), this.maxDeltaMs);
+        this.deltaTime = this.isPaused ? 0 : cappedDelta * this.speed;
+        this.time += this.deltaTime;
+    }
+
+    /**
+     * Advances a paused clock by exactly one frame.
+     * @param {number=} frameMs The length of the frame in real milliseconds.
+     */
+    step(frameMs = 1000 / 60) {
+        this.deltaTime = frameMs * this.speed;
+        this.time += this.deltaTime;
+    }
+
+    pause() {
+        this.isPaused = true;
+        this.deltaTime = 0;
+    }
+
+    resume() {
+        this.isPaused = false;
+    }
+
+    setSpeed(multiplier) {
+        const speed = Number(multiplier);
+        this.speed = speed > 0 ? speed : 1;
+    }
+}
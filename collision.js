@@ -0,0 +1,249 @@
+/**
+ * @fileoverview Stage geometry for the KidiCode runtime. Sprite bounds are
+ * worked out from the sprite model (position, size, direction, rotation
+ * style and center point) rather than from the page layout, so the same
+ * collisions happen in the browser and in the headless runtime.
+ *
+ * A sprite may have a costume mask, the opaque pixels of the image it
+ * shows (see createCostumeMask). Sprites with masks touch only where their
+ * opaque pixels meet; a sprite without one counts as its whole square.
+ *
+ * Stage coordinates have (0, 0) in the middle and y going up.
+ */
+
+export const STAGE_WIDTH = 480;
+export const STAGE_HEIGHT = 360;
+// Width and height in stage pixels of a sprite at size 100.
+export const SPRITE_BASE_SIZE = 160;
+
+// Pixels more transparent than this don't count as touching, so the soft
+// edges of a costume don't bump.
+const ALPHA_THRESHOLD = 32;
+// Side in stage pixels of a cell of the grid that finds nearby sprites,
+// about the size of a sprite at size 50.
+const GRID_CELL_SIZE = 80;
+// The most points two overlapping sprites are compared at. Bigger overlaps
+// are compared at a coarser step, so a frame stays cheap at any size.
+const MAX_MASK_SAMPLES = 10000;
+
+/**
+ * Makes a costume mask from the pixels of an image.
+ * @param {number} width The image width in pixels.
+ * @param {number} height The image height in pixels.
+ * @param {!ArrayLike<number>} rgba The image's RGBA bytes, as in ImageData.data.
+ * @return {{width: number, height: number, opaque: !Uint8Array,
+ *     box: ?{left: number, top: number, right: number, bottom: number}}}
+ *     opaque has a 1 for each opaque pixel, row by row; box is the part of
+ *     the image with opaque pixels, or null if there are none.
+ */
+export function createCostumeMask(width, height, rgba) {
+    const opaque = new Uint8Array(width * height);
+    let box = null;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            if (rgba[i * 4 + 3] <= ALPHA_THRESHOLD) continue;
+            opaque[i] = 1;
+            if (!box) box = { left: x, top: y, right: x + 1, bottom: y + 1 };
+            box.left = Math.min(box.left, x);
+            box.right = Math.max(box.right, x + 1);
+            box.bottom = y + 1;
+        }
+    }
+    return { width, height, opaque, box };
+}
+
+/**
+ * Works out where a sprite's costume is drawn: the sprite's square is
+ * turned about its center point and the image fits inside it, like the
+ * stage shows it.
+ * @param {object} sprite The sprite.
+ * @param {?object} mask The sprite's costume mask, or null.
+ * @return {object} The placement used by getSpriteBounds and isOpaqueAt.
+ */
+function getCostumePlacement(sprite, mask) {
+    const size = SPRITE_BASE_SIZE * (sprite.size / 100);
+    let cos = 1;
+    let sin = 0;
+    let flip = 1;
+    if (sprite.rotationStyle === 'left-right') {
+        const direction = ((sprite.direction % 360) + 360) % 360;
+        if (direction >= 180) flip = -1;
+    } else if (sprite.rotationStyle !== 'dont-rotate') {
+        // Turned clockwise on the screen, the way the stage draws it.
+        const angle = (sprite.direction - 90) * Math.PI / 180;
+        cos = Math.cos(angle);
+        sin = Math.sin(angle);
+    }
+    const imageWidth = mask ? mask.width : 1;
+    const imageHeight = mask ? mask.height : 1;
+    const scale = size / Math.max(imageWidth, imageHeight);
+    return {
+        x: sprite.x,
+        y: sprite.y,
+        cos, sin, flip, scale,
+        // The square's top-left corner, from the center point, in screen pixels.
+        originX: -(sprite.centerX || 0.5) * size + (size - imageWidth * scale) / 2,
+        originY: -(sprite.centerY || 0.5) * size + (size - imageHeight * scale) / 2,
+    };
+}
+
+/** Turns a point of the image into a stage point. */
+function imageToStage(placement, imageX, imageY) {
+    const { x, y, cos, sin, flip, scale, originX, originY } = placement;
+    const screenX = (originX + imageX * scale) * flip;
+    const screenY = originY + imageY * scale;
+    return {
+        x: x + screenX * cos - screenY * sin,
+        y: y - (screenX * sin + screenY * cos),
+    };
+}
+
+/** Reports whether a sprite's costume covers a stage point. */
+function isOpaqueAt(placement, mask, stageX, stageY) {
+    const { x, y, cos, sin, flip, scale, originX, originY } = placement;
+    const dx = stageX - x;
+    const dy = y - stageY;
+    const imageX = Math.floor(((dx * cos + dy * sin) * flip - originX) / scale);
+    const imageY = Math.floor((dy * cos - dx * sin - originY) / scale);
+    if (!mask) return imageX === 0 && imageY === 0;
+    if (imageX < 0 || imageY < 0 || imageX >= mask.width || imageY >= mask.height) return false;
+    return mask.opaque[imageY * mask.width + imageX] === 1;
+}
+
+/**
+ * Returns the box a visible sprite covers on the stage, or null if the
+ * sprite is fully transparent.
+ * @param {object} sprite The sprite.
+ * @param {?object=} mask The sprite's costume mask; without one the whole
+ *     square counts.
+ * @return {?{left: number, right: number, top: number, bottom: number}}
+ */
+export function getSpriteBounds(sprite, mask = null) {
+    if (!sprite || sprite.opacity === 0) return null;
+    if (mask && !mask.box) return null;
+    const placement = getCostumePlacement(sprite, mask);
+    const box = mask ? mask.box : { left: 0, top: 0, right: 1, bottom: 1 };
+    const corners = [
+        imageToStage(placement, box.left, box.top),
+        imageToStage(placement, box.right, box.top),
+        imageToStage(placement, box.left, box.bottom),
+        imageToStage(placement, box.right, box.bottom),
+    ];
+    return {
+        left: Math.min(...corners.map(corner => corner.x)),
+        right: Math.max(...corners.map(corner => corner.x)),
+        top: Math.max(...corners.map(corner => corner.y)),
+        bottom: Math.min(...corners.map(corner => corner.y)),
+    };
+}
+
+export function doBoundsOverlap(bounds1, bounds2) {
+    if (!bounds1 || !bounds2) return false;
+    return !(bounds1.right < bounds2.left ||
+             bounds1.left > bounds2.right ||
+             bounds1.top < bounds2.bottom ||
+             bounds1.bottom > bounds2.top);
+}
+
+/** Returns the grid column or row of a stage coordinate, kept on the stage. */
+function getGridCell(value, stageSize) {
+    const clamped = Math.max(-stageSize / 2, Math.min(stageSize / 2, value));
+    return Math.floor(clamped / GRID_CELL_SIZE);
+}
+
+/**
+ * Finds the boxes that overlap. The boxes are put in the cells of a grid
+ * over the stage and only boxes that share a cell are compared, so the
+ * work grows with the sprites near each other, not with all pairs.
+ * @param {!Array<?{left: number, right: number, top: number, bottom: number}>} boundsList
+ *     The boxes, e.g. from getSpriteBounds; null ones overlap nothing.
+ * @return {!Array<!Array<number>>} The [i, j] index pairs of overlapping
+ *     boxes, with i < j.
+ */
+export function findOverlappingBounds(boundsList) {
+    const cells = new Map(); // Indices of the boxes in each cell, keyed by 'column,row'.
+    const pairs = [];
+    const comparedPairs = new Set();
+    boundsList.forEach((bounds, index) => {
+        if (!bounds) return;
+        // Boxes past the stage go in its outer cells, so a huge or far away
+        // sprite fills a few dozen cells at most. Boxes that overlap still share a cell.
+        const firstColumn = getGridCell(bounds.left, STAGE_WIDTH);
+        const lastColumn = getGridCell(bounds.right, STAGE_WIDTH);
+        const firstRow = getGridCell(bounds.bottom, STAGE_HEIGHT);
+        const lastRow = getGridCell(bounds.top, STAGE_HEIGHT);
+        for (let column = firstColumn; column <= lastColumn; column++) {
+            for (let row = firstRow; row <= lastRow; row++) {
+                const key = `${column},${row}`;
+                const cell = cells.get(key);
+                if (!cell) {
+                    cells.set(key, [index]);
+                    continue;
+                }
+                cell.forEach(other => {
+                    const pairKey = other * boundsList.length + index;
+                    if (comparedPairs.has(pairKey)) return;
+                    comparedPairs.add(pairKey);
+                    if (doBoundsOverlap(boundsList[other], bounds)) pairs.push([other, index]);
+                });
+                cell.push(index);
+            }
+        }
+    });
+    return pairs;
+}
+
+/**
+ * Reports whether two sprites touch. Their boxes are compared first; only
+ * if those overlap are the costumes compared where the boxes meet.
+ * @param {object} sprite1 The first sprite.
+ * @param {object} sprite2 The second sprite.
+ * @param {?object=} mask1 The first sprite's costume mask, or null.
+ * @param {?object=} mask2 The second sprite's costume mask, or null.
+ * @return {boolean}
+ */
+export function areSpritesTouching(sprite1, sprite2, mask1 = null, mask2 = null) {
+    const bounds1 = getSpriteBounds(sprite1, mask1);
+    const bounds2 = getSpriteBounds(sprite2, mask2);
+    if (!doBoundsOverlap(bounds1, bounds2)) return false;
+
+    const placement1 = getCostumePlacement(sprite1, mask1);
+    const placement2 = getCostumePlacement(sprite2, mask2);
+    const left = Math.max(bounds1.left, bounds2.left);
+    const right = Math.min(bounds1.right, bounds2.right);
+    const bottom = Math.max(bounds1.bottom, bounds2.bottom);
+    const top = Math.min(bounds1.top, bounds2.top);
+    const step = Math.max(1, Math.sqrt((right - left) * (top - bottom) / MAX_MASK_SAMPLES));
+    // Sample the middle of each step so touching boxes with no area still meet.
+    for (let y = bottom + Math.min(step, top - bottom) / 2; y <= top; y += step) {
+        for (let x = left + Math.min(step, right - left) / 2; x <= right; x += step) {
+            if (isOpaqueAt(placement1, mask1, x, y) && isOpaqueAt(placement2, mask2, x, y)) return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Reports whether a sprite touches or is past an edge of the stage.
+ * @param {object} sprite The sprite.
+ * @param {?object=} mask The sprite's costume mask, or null.
+ * @return {boolean}
+ */
+export function isSpriteTouchingEdge(sprite, mask = null) {
+    return isBoundsTouchingEdge(getSpriteBounds(sprite, mask));
+}
+
+/**
+ * Reports whether a box from getSpriteBounds touches or is past an edge of
+ * the stage.
+ * @param {?{left: number, right: number, top: number, bottom: number}} bounds
+ * @return {boolean}
+ */
+export function isBoundsTouchingEdge(bounds) {
+    if (!bounds) return false;
+    return bounds.left <= -STAGE_WIDTH / 2 ||
+           bounds.right >= STAGE_WIDTH / 2 ||
+           bounds.top >= STAGE_HEIGHT / 2 ||
+           bounds.bottom <= -STAGE_HEIGHT / 2;
+}
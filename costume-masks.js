@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Costume masks for the stage: which pixels of a sprite's
+ * image are opaque, so sprites bump only where they can be seen (see
+ * collision.js). Images are read in the background the first time a
+ * sprite asks; until then, or if an image can't be read, the sprite counts
+ * as its whole square.
+ */
+
+import { createCostumeMask } from './collision.js';
+
+// Big images are read at this many pixels at most across, which is more
+// detail than a sprite on the stage shows.
+const MAX_MASK_SIZE = 256;
+
+export class CostumeMasks {
+    constructor() {
+        this.imageMasks = new Map(); // Keyed by image URL; null while loading or if unreadable.
+        this.gifMasks = new WeakMap(); // Mask of each frame, keyed by the GIF's parsed frames.
+    }
+
+    /**
+     * Returns the mask of the costume a sprite shows now.
+     * @param {object} sprite The sprite.
+     * @return {?object} The mask, or null if it isn't known (yet).
+     */
+    get(sprite) {
+        if (sprite.isGif) {
+            if (!sprite.animation) return null;
+            const { frames, width, height, currentFrame } = sprite.animation;
+            if (!this.gifMasks.has(frames)) {
+                this.gifMasks.set(frames, createGifMasks(frames, width, height));
+            }
+            return this.gifMasks.get(frames)[currentFrame] || null;
+        }
+        if (!sprite.imageUrl) return null;
+        if (!this.imageMasks.has(sprite.imageUrl)) {
+            this.imageMasks.set(sprite.imageUrl, null);
+            this.loadImageMask(sprite.imageUrl);
+        }
+        return this.imageMasks.get(sprite.imageUrl);
+    }
+
+    loadImageMask(url) {
+        const image = new Image();
+        // Lets the pixels of images from other sites be read.
+        image.crossOrigin = 'anonymous';
+        image.onload = () => {
+            try {
+                // SVGs without a size of their own fill the sprite's square.
+                const naturalWidth = image.naturalWidth || MAX_MASK_SIZE;
+                const naturalHeight = image.naturalHeight || MAX_MASK_SIZE;
+                const scale = Math.min(1, MAX_MASK_SIZE / Math.max(naturalWidth, naturalHeight));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.max(1, Math.round(naturalWidth * scale));
+                canvas.height = Math.max(1, Math.round(naturalHeight * scale));
+                const ctx = canvas.getContext('2d');
+                ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+                const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+                this.imageMasks.set(url, createCostumeMask(canvas.width, canvas.height, data));
+            } catch (e) {
+                console.warn(`Could not read the pixels of ${url.slice(0, 100)}; it bumps as a square.`, e);
+            }
+        };
+        image.onerror = () => {
+            console.warn(`Could not load ${url.slice(0, 100)} for collisions; it bumps as a square.`);
+        };
+        image.src = url;
+    }
+}
+
+/**
+ * Works out the mask of every frame of a parsed GIF. Frames are drawn over
+ * the ones before them the same way the stage draws them (drawGifFrame).
+ */
+function createGifMasks(frames, width, height) {
+    const rgba = new Uint8ClampedArray(width * height * 4);
+    return frames.map((frame, index) => {
+        if (index === 0 || frame.disposalMethod === 2) rgba.fill(0);
+        frame.pixelIndices.forEach((pixelIndex, i) => {
+            if (pixelIndex === frame.transparentColorIndex) return;
+            const x = frame.left + (i % frame.w);
+            const y = frame.top + Math.floor(i / frame.w);
+            if (x < width && y < height) rgba[(y * width + x) * 4 + 3] = 255;
+        });
+        return createCostumeMask(width, height, rgba);
+    });
+}
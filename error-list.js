@@ -0,0 +1,92 @@
+/**
+ * @fileoverview Error list for teachers. Shows every script error of the
+ * project (when, which sprite and block, and the JavaScript message); picking
+ * an error opens the sprite and shows the block in the editor.
+ */
+
+export class ErrorListPanel {
+    constructor({ getErrors, onClear, onSelect }) {
+        // Dependencies from main app
+        this.getErrors = getErrors;
+        this.onClear = onClear;
+        this.onSelect = onSelect;
+
+        // DOM Elements
+        this.openButton = document.getElementById('error-list-button');
+        this.countBadge = document.getElementById('error-list-count');
+        this.modal = document.getElementById('error-list-modal');
+        this.list = document.getElementById('error-list-items');
+        this.emptyMessage = document.getElementById('error-list-empty');
+        this.clearButton = document.getElementById('error-list-clear-btn');
+        this.closeButton = document.getElementById('error-list-close-btn');
+    }
+
+    init() {
+        if (!this.modal || !this.list) {
+            console.error('Error list elements not found in HTML.');
+            return;
+        }
+
+        this.openButton.addEventListener('click', () => this.open());
+        this.closeButton.addEventListener('click', () => this.close());
+        this.clearButton.addEventListener('click', () => {
+            this.onClear();
+            this.update();
+        });
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) this.close();
+        });
+        this.update();
+    }
+
+    open() {
+        this.render();
+        this.modal.classList.add('visible');
+    }
+
+    close() {
+        this.modal.classList.remove('visible');
+    }
+
+    /** Call when the errors change. */
+    update() {
+        if (!this.countBadge) return;
+        const count = this.getErrors().length;
+        this.countBadge.textContent = count > 99 ? '99+' : String(count);
+        this.countBadge.classList.toggle('hidden', count === 0);
+        if (this.modal.classList.contains('visible')) this.render();
+    }
+
+    render() {
+        const errors = this.getErrors();
+        this.list.innerHTML = '';
+        this.emptyMessage.classList.toggle('hidden', errors.length > 0);
+
+        // Newest first.
+        [...errors].reverse().forEach(error => {
+            const item = document.createElement('li');
+            item.className = 'error-list-item';
+
+            const header = document.createElement('div');
+            header.className = 'error-list-item-header';
+            const time = error.time.toLocaleTimeString();
+            const spriteName = error.spriteName + (error.isClone ? ' (clone)' : '');
+            header.textContent = `${time} · ${spriteName} · ${error.blockType || 'unknown block'}`;
+
+            const message = document.createElement('div');
+            message.className = 'error-list-item-message';
+            message.textContent = error.message;
+
+            item.append(header, message);
+            if (error.spriteId && error.blockId) {
+                item.classList.add('selectable');
+                item.title = 'Show this block';
+                item.addEventListener('click', () => {
+                    this.close();
+                    this.onSelect(error);
+                });
+            }
+            this.list.appendChild(item);
+        });
+    }
+}
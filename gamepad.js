@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Gamepad support. Polled once a frame, the D-pad, left
+ * stick and A/B buttons of every connected gamepad press the keys the
+ * project maps the game controls to (settings.controlKeys), so the key
+ * blocks work with a gamepad.
+ *
+ * It needs no browser: pass getGamepads to read stub gamepads instead of
+ * navigator.getGamepads(), e.g. to test a project headless:
+ *
+ *   const pad = { buttons: [{ pressed: true }], axes: [0, 0] };
+ *   const gamepads = new GamepadInput({ runtime, getGamepads: () => [pad] });
+ *   gamepads.poll(); // Presses the key of the A button.
+ */
+
+import { getKeyEventInit } from './runtime.js';
+
+// How far a stick must be pushed to press its direction.
+const AXIS_THRESHOLD = 0.5;
+
+// The buttons and stick directions of each game control, in the standard
+// gamepad layout. Many cheap gamepads report their D-pad as the first axes.
+const CONTROL_INPUTS = {
+    up: { buttons: [12], axis: 1, sign: -1 },
+    down: { buttons: [13], axis: 1, sign: 1 },
+    left: { buttons: [14], axis: 0, sign: -1 },
+    right: { buttons: [15], axis: 0, sign: 1 },
+    a: { buttons: [0] },
+    b: { buttons: [1] },
+};
+
+const getBrowserGamepads = () =>
+    (typeof navigator !== 'undefined' && navigator.getGamepads) ? navigator.getGamepads() : [];
+
+// Old browsers report a button as a number instead of a GamepadButton.
+const isButtonDown = (button) => typeof button === 'object' ? button.pressed : button > 0.5;
+
+export class GamepadInput {
+    /**
+     * @param {{runtime: !Object, getGamepads: (function(): !Array<?Object>|undefined)}} options
+     *     runtime receives the key presses; getGamepads returns the
+     *     gamepads to read (navigator.getGamepads() by default).
+     */
+    constructor({ runtime, getGamepads = getBrowserGamepads }) {
+        this.runtime = runtime;
+        this.getGamepads = getGamepads;
+        this.pressedKeys = new Map(); // The key each held control pressed, by control.
+    }
+
+    /** Reads the gamepads and presses or releases keys. Call once a frame. */
+    poll() {
+        const gamepads = Array.from(this.getGamepads() || []).filter(Boolean);
+        Object.entries(CONTROL_INPUTS).forEach(([control, { buttons, axis, sign }]) => {
+            const isDown = gamepads.some(gamepad =>
+                buttons.some(index => gamepad.buttons[index] !== undefined && isButtonDown(gamepad.buttons[index])) ||
+                (axis !== undefined && (gamepad.axes[axis] || 0) * sign > AXIS_THRESHOLD));
+            const pressedKey = this.pressedKeys.get(control);
+            if (isDown && !pressedKey) {
+                const keyName = this.runtime.settings.controlKeys[control];
+                if (!keyName) return;
+                this.pressedKeys.set(control, keyName);
+                const { key, code } = getKeyEventInit(keyName);
+                this.runtime.keyDown(key, code);
+            } else if (!isDown && pressedKey) {
+                this.pressedKeys.delete(control);
+                const { key, code } = getKeyEventInit(pressedKey);
+                this.runtime.keyUp(key, code);
+            }
+        });
+    }
+}
@@ -0,0 +1,798 @@
+/**
+ * @fileoverview JavaScript code generators for the KidiCode blocks. They
+ * work on the plain blocks read by blockly-xml.js, so scripts compile the
+ * same way in the editor and in the headless runtime.
+ *
+ * The generated code is the body of a generator function; see SCRIPT_PARAMS
+ * for the names it can use. Text from the project (field values, block ids,
+ * names) never goes into the code: it is kept in a constants table that the
+ * code reads as `constants[i]`, so a shared project can't inject script.
+ */
+
+import { getRootBlock } from './blockly-xml.js';
+import { STAGE_WIDTH, STAGE_HEIGHT } from './collision.js';
+
+// Parameter names of the functions the generated code is compiled into. The
+// script's constants table is passed after them, as `constants`.
+// `payload` is the value sent with the message that started the script.
+export const SCRIPT_PARAMS = ['sprite', 'runtime', 'clock', 'variables', 'sensing', 'cloning', 'compareValues', 'reportBlock', 'getExecutionCancelled', 'shouldYield', 'log', 'payload'];
+
+/**
+ * Reads a procedure ({id, name, args}) from the <mutation> of a define or
+ * call block.
+ */
+export function mutationToProcedure(mutation) {
+    const attributes = (mutation && mutation.attributes) || {};
+    const args = mutation ? mutation.children.filter(child => child.name === 'arg') : [];
+    return {
+        id: attributes.procid || '',
+        name: attributes.name || '',
+        args: args.map(arg => ({
+            name: arg.attributes.name,
+            type: arg.attributes.type === 'text' ? 'text' : 'number',
+        })),
+    };
+}
+
+export const findProcedureDefinition = (topBlocks, procedureId) =>
+    topBlocks.find(block => block.type === 'procedures_definition' && mutationToProcedure(block.mutation).id === procedureId) || null;
+
+// Code for an argument's default value: '' for text, 0 for numbers.
+const getArgDefaultCode = (arg) => arg.type === 'text' ? "''" : '0';
+
+// Code for a number field; anything that isn't a number becomes NaN.
+const numberCode = (value) => String(Number(value));
+
+const uniqueName = (prefix, block) =>
+    `${prefix}_${block.id.replace(/[^a-zA-Z0-9]/g, '_')}_${Math.random().toString(36).substring(2, 9)}`;
+
+/**
+ * Generates the code of one script. Holds the "My Blocks" functions the
+ * script needs while its code is being generated.
+ */
+class ScriptGenerator {
+    /**
+     * @param {!Array<!Object>} topBlocks The top blocks of the sprite's
+     *     workspace, where procedure definitions are looked up.
+     */
+    constructor(topBlocks) {
+        this.topBlocks = topBlocks;
+        this.definitions = {};
+        this.procedureNames = new Map(); // Function name of each procedure, by procedure id.
+        this.constants = [];
+        this.constantIndexes = new Map();
+    }
+
+    /**
+     * Returns the name of the function of a "My Blocks" procedure. Ids that
+     * differ only in characters a name can't have still get their own name.
+     * @param {string} procedureId The procedure's id.
+     * @return {string} The function name.
+     */
+    getProcedureFunctionName(procedureId) {
+        if (!this.procedureNames.has(procedureId)) {
+            const name = `proc_${procedureId.replace(/[^a-zA-Z0-9]/g, '_')}_${this.procedureNames.size}`;
+            this.procedureNames.set(procedureId, name);
+        }
+        return this.procedureNames.get(procedureId);
+    }
+
+    /**
+     * Adds a value to the constants table.
+     * @param {*} value The value, e.g. a field's text.
+     * @return {string} The code that reads it.
+     */
+    constant(value) {
+        if (!this.constantIndexes.has(value)) {
+            this.constantIndexes.set(value, this.constants.length);
+            this.constants.push(value);
+        }
+        return `constants[${this.constantIndexes.get(value)}]`;
+    }
+
+    /**
+     * Generates a statement block and the blocks below it.
+     * @param {?Object} block The first block.
+     * @return {string} The code.
+     */
+    blockToCode(block) {
+        let code = '';
+        for (let current = block; current; current = current.next) {
+            if (current.disabled) continue;
+            const generate = generators[current.type];
+            if (!generate) throw unknownBlockError(current);
+            code += `reportBlock(sprite, ${this.constant(current.id)});\n` + generate(current, this);
+        }
+        return code;
+    }
+
+    /**
+     * Generates the expression of the block plugged into a value input.
+     * @return {string} The expression in brackets, or '' if the input is empty.
+     */
+    valueToCode(block, inputName) {
+        const target = block.inputs[inputName];
+        if (!target || target.disabled) return '';
+        return `(${this.expressionToCode(target)})`;
+    }
+
+    expressionToCode(block) {
+        const generate = generators[block.type];
+        if (!generate) throw unknownBlockError(block);
+        return generate(block, this);
+    }
+
+    statementToCode(block, inputName) {
+        return this.blockToCode(block.statements[inputName]);
+    }
+
+    /** The "My Blocks" functions used so far, to go before the script code. */
+    getDefinitionsCode() {
+        return Object.values(this.definitions).join('\n\n');
+    }
+}
+
+/**
+ * Generates the code of a block and the blocks below it, preceded by the
+ * functions of any "My Blocks" it uses.
+ * @param {?Object} firstBlock The first block of the chain.
+ * @param {!Array<!Object>} topBlocks The top blocks of the sprite's workspace.
+ * @return {{code: string, constants: !Array}} The code, or '' if the chain
+ *     has no code, and the constants table it reads.
+ */
+export function generateScriptCode(firstBlock, topBlocks) {
+    const generator = new ScriptGenerator(topBlocks);
+    const chainCode = firstBlock ? generator.blockToCode(firstBlock) : '';
+    if (!chainCode.trim()) return { code: '', constants: [] };
+    let code = generator.getDefinitionsCode() + '\n' + chainCode;
+
+    // Blocks clicked inside a "define" block run with its inputs at their default values.
+    const root = getRootBlock(firstBlock);
+    if (root.type === 'procedures_definition') {
+        const defaults = mutationToProcedure(root.mutation).args.map(arg => `[${generator.constant(arg.name)}]: ${getArgDefaultCode(arg)}`);
+        code = `const params = { ${defaults.join(', ')} };\n` + code;
+    }
+    return { code, constants: generator.constants };
+}
+
+/**
+ * Generates the expression of a reporter block.
+ * @param {!Object} block The reporter.
+ * @param {!Array<!Object>} topBlocks The top blocks of the sprite's workspace.
+ * @return {{code: string, constants: !Array}} The expression and the
+ *     constants table it reads.
+ */
+export function generateValueCode(block, topBlocks) {
+    const generator = new ScriptGenerator(topBlocks);
+    const code = generator.expressionToCode(block);
+    return { code, constants: generator.constants };
+}
+
+/**
+ * The error for a block with no generator, e.g. from a newer version of the
+ * app. blockId tells the error list which block it is.
+ */
+const unknownBlockError = (block) => Object.assign(
+    new Error(`Don't know how to generate code for block type "${block.type}".`), { blockId: block.id });
+
+const hat = () => '';
+
+/**
+ * Code generators keyed by block type. Statement generators return code;
+ * reporter generators return an expression.
+ */
+const generators = {
+    // --- Events ---
+    'event_when_flag_clicked': hat,
+    'event_when_sprite_clicked': hat,
+    'event_when_key_pressed': hat,
+    'event_when_key_released': hat,
+    'event_when_bump': hat,
+    'event_when_touching_edge': hat,
+    'event_when_broadcast_received': hat,
+    'event_when_told': hat,
+    'event_when_stage_tapped': hat,
+    'event_when_stage_swiped': hat,
+    'control_start_as_clone': hat,
+    'procedures_definition': hat,
+
+    'event_broadcast': (block, gen) => {
+        const message = gen.constant(block.fields.MESSAGE);
+        const payload = gen.valueToCode(block, 'PAYLOAD') || "''";
+        return `
+            log('Broadcasting message: ' + ${message});
+            runtime.broadcast(${message}, ${payload});
+        `;
+    },
+
+    'event_broadcast_and_wait': (block, gen) => {
+        const message = gen.constant(block.fields.MESSAGE);
+        const payload = gen.valueToCode(block, 'PAYLOAD') || "''";
+        const receivers = uniqueName('receivers', block);
+        return `
+            log('Broadcasting message: ' + ${message});
+            const ${receivers} = runtime.broadcast(${message}, ${payload});
+            while (runtime.areThreadsRunning(${receivers})) {
+                yield;
+            }
+        `;
+    },
+
+    'event_tell_sprite': (block, gen) => {
+        const target = gen.constant(block.fields.TARGET_SPRITE);
+        const message = gen.constant(block.fields.MESSAGE);
+        const payload = gen.valueToCode(block, 'PAYLOAD') || "''";
+        return `
+            runtime.tell(sprite, ${target}, ${message}, ${payload});
+        `;
+    },
+
+    'event_received_value': () => 'payload',
+
+    // --- Motion ---
+    'motion_move_steps': (block, gen) => {
+        const steps = gen.valueToCode(block, 'STEPS') || '10';
+        return `
+            if (sprite) {
+                const moveSpeed = sprite.speed || 'instant';
+                if (moveSpeed === 'instant') {
+                    const distance = Number(${steps});
+                    const radians = sprite.direction * Math.PI / 180;
+                    sprite.x += distance * Math.sin(radians);
+                    sprite.y += distance * Math.cos(radians);
+                    runtime.keepOnStage(sprite);
+                    runtime.refreshSprite(sprite);
+                    yield;
+                } else {
+                    const distance = Number(${steps});
+                    if (distance !== 0) {
+                        const speedMap = { slow: 60, normal: 180, fast: 360 }; // pixels per second
+                        const pixelsPerSecond = speedMap[moveSpeed] || 180;
+
+                        const distanceToMove = Math.abs(distance);
+                        let distanceMoved = 0;
+                        const sign = distance > 0 ? 1 : -1;
+
+                        while (distanceMoved < distanceToMove) {
+                            if (getExecutionCancelled()) break;
+
+                            const frameMoveAmount = (pixelsPerSecond * clock.deltaTime / 1000);
+                            const remainingDistance = distanceToMove - distanceMoved;
+                            const finalMoveAmount = Math.min(frameMoveAmount, remainingDistance) * sign;
+
+                            // Read every frame: bouncing off an edge turns the sprite.
+                            const radians = sprite.direction * Math.PI / 180;
+                            sprite.x += finalMoveAmount * Math.sin(radians);
+                            sprite.y += finalMoveAmount * Math.cos(radians);
+
+                            runtime.keepOnStage(sprite);
+
+                            distanceMoved += Math.abs(finalMoveAmount);
+
+                            runtime.refreshSprite(sprite);
+                            yield;
+                        }
+                    } else {
+                        yield;
+                    }
+                }
+            }
+        `;
+    },
+
+    'motion_turn_right_degrees': (block, gen) => {
+        const degrees = gen.valueToCode(block, 'DEGREES') || '15';
+        return `
+            if (sprite) {
+                const rotationAmount = Number(${degrees});
+                sprite.direction += rotationAmount;
+                runtime.refreshSprite(sprite);
+            }
+            yield;
+        `;
+    },
+
+    'motion_turn_left_degrees': (block, gen) => {
+        const degrees = gen.valueToCode(block, 'DEGREES') || '15';
+        return `
+            if (sprite) {
+                const rotationAmount = Number(${degrees});
+                sprite.direction -= rotationAmount;
+                runtime.refreshSprite(sprite);
+            }
+            yield;
+        `;
+    },
+
+    'motion_set_speed': (block, gen) => {
+        const speed = gen.constant(block.fields.SPEED);
+        return `
+            if (sprite) {
+                sprite.speed = ${speed};
+                log(sprite.name + ' speed set to ' + ${speed} + '.');
+            }
+            yield;
+        `;
+    },
+
+    'motion_set_direction': (block, gen) => {
+        const degrees = numberCode(block.fields.DEGREES);
+        const rotationStyle = gen.constant(block.fields.ROTATION_STYLE);
+        return `
+            if (sprite) {
+                sprite.direction = ${degrees};
+                sprite.rotationStyle = ${rotationStyle};
+                runtime.refreshSprite(sprite);
+                log(sprite.name + ' set direction to ' + sprite.direction + ' and rotation to ' + ${rotationStyle} + '.');
+            }
+            yield;
+        `;
+    },
+
+    'motion_go_to_xy': (block, gen) => {
+        const x = gen.valueToCode(block, 'X') || '0';
+        const y = gen.valueToCode(block, 'Y') || '0';
+        return `
+            if (sprite) {
+                sprite.x = Number(${x});
+                sprite.y = Number(${y});
+                runtime.keepOnStage(sprite);
+                runtime.refreshSprite(sprite);
+                log(sprite.name + ' moved to: ' + sprite.x.toFixed(0) + ', ' + sprite.y.toFixed(0));
+            }
+            yield;
+        `;
+    },
+
+    'motion_glide_to_xy': (block, gen) => {
+        const secs = gen.valueToCode(block, 'SECS') || '1';
+        const x = gen.valueToCode(block, 'X') || '0';
+        const y = gen.valueToCode(block, 'Y') || '0';
+        return `
+            if (sprite) {
+                const startX = sprite.x;
+                const startY = sprite.y;
+                const endX = (${x});
+                const endY = (${y});
+                const durationMs = Math.max(0, (${secs}) * 1000);
+                const startTime = clock.time;
+                let elapsedTime = 0;
+
+                while (elapsedTime < durationMs) {
+                    if (getExecutionCancelled()) break;
+
+                    elapsedTime = clock.time - startTime;
+                    const progress = Math.min(1, elapsedTime / durationMs);
+
+                    sprite.x = startX + (endX - startX) * progress;
+                    sprite.y = startY + (endY - startY) * progress;
+                    runtime.keepOnStage(sprite);
+
+                    runtime.refreshSprite(sprite);
+                    yield;
+                }
+
+                if (!getExecutionCancelled()) {
+                    sprite.x = endX;
+                    sprite.y = endY;
+                    runtime.keepOnStage(sprite);
+                    runtime.refreshSprite(sprite);
+                    log(sprite.name + ' finished gliding.');
+                }
+            }
+        `;
+    },
+
+    'motion_jump': (block, gen) => {
+        const height = gen.valueToCode(block, 'HEIGHT') || '100';
+        return `
+            if (sprite && !sprite.isJumping) {
+                sprite.isJumping = true;
+                const startY = sprite.y; // Store original Y position BEFORE the try block
+
+                try {
+                    const JUMP_HEIGHT = (${height});
+                    const DURATION_MS = 500;
+                    const startTime = clock.time;
+                    let elapsedTime = 0;
+                    log(sprite.name + ' starts jumping...');
+
+                    while (elapsedTime < DURATION_MS) {
+                        if (getExecutionCancelled()) {
+                            break;
+                        }
+
+                        elapsedTime = clock.time - startTime;
+                        const progress = Math.min(1, elapsedTime / DURATION_MS);
+
+                        const parabolicProgress = -4 * JUMP_HEIGHT * progress * (progress - 1);
+                        sprite.y = startY + parabolicProgress;
+                        runtime.keepOnStage(sprite);
+
+                        runtime.refreshSprite(sprite);
+                        yield;
+                    }
+
+                    if (!getExecutionCancelled()) {
+                        log(sprite.name + ' finished jumping.');
+                    }
+                } finally {
+                    // This ALWAYS runs, ensuring the sprite lands correctly and the state is reset.
+                    sprite.y = startY;
+                    sprite.isJumping = false;
+                    runtime.refreshSprite(sprite);
+                    log(sprite.name + ' jump state reset and landed.');
+                }
+            } else if (sprite) {
+                // If already jumping, just wait for the next tick.
+                yield;
+            }
+        `;
+    },
+
+    'motion_if_on_edge_bounce': () => `
+            if (sprite) {
+                runtime.bounceOffEdge(sprite);
+                runtime.refreshSprite(sprite);
+            }
+            yield;
+        `,
+
+    'motion_xcor': () => `sprite ? Math.max(${-STAGE_WIDTH / 2}, Math.min(${STAGE_WIDTH / 2}, sprite.x)) : 0`,
+    'motion_ycor': () => `sprite ? Math.max(${-STAGE_HEIGHT / 2}, Math.min(${STAGE_HEIGHT / 2}, sprite.y)) : 0`,
+
+    // --- Looks ---
+    'looks_say_for_secs': (block, gen) => {
+        const message = gen.valueToCode(block, 'MESSAGE') || "''";
+        const secs = gen.valueToCode(block, 'SECS') || '2';
+        const varName = uniqueName('endTime', block);
+        return `
+            if (sprite) {
+                const rawMessage = ${message};
+                const finalMessage = typeof rawMessage === 'number' ? Math.round(rawMessage) : rawMessage;
+                runtime.say(sprite, finalMessage);
+                log(sprite.name + ' says: ' + finalMessage);
+
+                const ${varName} = clock.time + (${secs}) * 1000;
+                while (clock.time < ${varName}) {
+                    if (getExecutionCancelled()) break;
+                    yield;
+                }
+
+                if (!getExecutionCancelled()) {
+                    runtime.hideSpeech(sprite);
+                }
+            }
+        `;
+    },
+
+    'looks_say': (block, gen) => {
+        const message = gen.valueToCode(block, 'MESSAGE') || "''";
+        return `
+            if (sprite) {
+               const rawMessage = ${message};
+               const finalMessage = typeof rawMessage === 'number' ? Math.round(rawMessage) : rawMessage;
+               runtime.say(sprite, finalMessage);
+               log(sprite.name + ' says: ' + finalMessage);
+            }
+        `;
+    },
+
+    'looks_show': () => `
+            if (sprite) {
+                sprite.opacity = 1;
+                runtime.refreshSprite(sprite);
+                log(sprite.name + ' shown.');
+            }
+            yield;
+        `,
+
+    'looks_hide': () => `
+            if (sprite) {
+                sprite.opacity = 0;
+                runtime.refreshSprite(sprite);
+                log(sprite.name + ' hidden.');
+            }
+            yield;
+        `,
+
+    'looks_grow': (block, gen) => {
+        const size = gen.valueToCode(block, 'SIZE') || '10';
+        return `
+            if (sprite) {
+                const sizeChange = Number(${size});
+                sprite.size += sizeChange;
+                runtime.refreshSprite(sprite);
+                log(sprite.name + ' grew to size ' + sprite.size);
+            }
+            yield;
+        `;
+    },
+
+    'looks_shrink': (block, gen) => {
+        const size = gen.valueToCode(block, 'SIZE') || '10';
+        return `
+            if (sprite) {
+                const sizeChange = Number(${size});
+                sprite.size = Math.max(5, sprite.size - sizeChange); // Don't let size go below 5
+                runtime.refreshSprite(sprite);
+                log(sprite.name + ' shrunk to size ' + sprite.size);
+            }
+            yield;
+        `;
+    },
+
+    'looks_set_size': (block, gen) => {
+        const size = gen.valueToCode(block, 'SIZE') || '100';
+        return `
+            if (sprite) {
+                sprite.size = Math.max(5, Number(${size})); // Don't let size go below 5
+                runtime.refreshSprite(sprite);
+                log(sprite.name + ' set size to ' + sprite.size);
+            }
+            yield;
+        `;
+    },
+
+    'looks_switch_backdrop': (block, gen) => {
+        const backdropUrl = block.fields.BACKDROP;
+        if (backdropUrl === '__NEXT__') {
+            return `runtime.switchToNextBackdrop(); yield;`;
+        }
+        if (backdropUrl === '__RANDOM__') {
+            return `runtime.switchToRandomBackdrop(); yield;`;
+        }
+        if (backdropUrl && backdropUrl !== 'NONE') {
+            return `runtime.switchBackdrop(${gen.constant(backdropUrl)}); yield;`;
+        }
+        return '';
+    },
+
+    'looks_change_layer': (block, gen) => {
+        const action = gen.constant(block.fields.ACTION);
+        return `runtime.changeSpriteLayer(sprite, ${action}); yield;`;
+    },
+
+    'scrolling_backdrop_scroll': (block, gen) => {
+        const direction = gen.constant(block.fields.DIRECTION);
+        const speed = gen.valueToCode(block, 'SPEED') || '10';
+        return `
+            runtime.scrollBackdrop(${direction}, ${speed});
+            yield;
+        `;
+    },
+
+    'scrolling_backdrop_stop': () => `
+            runtime.stopBackdropScroll();
+            yield;
+        `,
+
+    // --- Sound ---
+    'sound_play_until_done': (block, gen) => {
+        const soundUrl = block.fields.SOUND;
+        if (!soundUrl || soundUrl === 'NONE') return '';
+        const url = gen.constant(soundUrl);
+        const soundVar = uniqueName('sound', block);
+        return `
+            if (sprite) {
+                log('Playing sound: ' + ${url});
+                const ${soundVar} = runtime.playSound(${url});
+
+                while (!${soundVar}.isDone) {
+                    if (getExecutionCancelled()) {
+                        // We can't easily stop the sound here without more complex logic,
+                        // but we can stop waiting for it.
+                        break;
+                    }
+                    yield;
+                }
+                if (!getExecutionCancelled()) {
+                    log('Sound finished.');
+                }
+            }
+        `;
+    },
+
+    // --- Control ---
+    'control_wait_secs': (block, gen) => {
+        const secs = gen.valueToCode(block, 'SECS') || '1';
+        const varName = uniqueName('endTime', block);
+        return `
+            log('Waiting for ' + (${secs}) + ' seconds...');
+            const ${varName} = clock.time + (${secs}) * 1000;
+            while (clock.time < ${varName}) {
+                if (getExecutionCancelled()) break;
+                yield;
+            }
+        `;
+    },
+
+    'control_repeat_times': (block, gen) => {
+        const times = gen.valueToCode(block, 'TIMES') || '10';
+        const branch = gen.statementToCode(block, 'DO');
+        return `
+            for (let i = 0; i < (${times}); i++) {
+                if (getExecutionCancelled()) break;
+                log('Repetition number: ' + (i + 1));
+                ${branch}
+                if (getExecutionCancelled()) break;
+                if (shouldYield()) yield; // The watchdog keeps long loops from freezing the page.
+            }
+        `;
+    },
+
+    'control_forever': (block, gen) => {
+        const branch = gen.statementToCode(block, 'DO');
+        return `
+            while(!getExecutionCancelled()) {
+                ${branch}
+                yield;
+            }
+        `;
+    },
+
+    'control_if': (block, gen) => {
+        const condition = gen.valueToCode(block, 'CONDITION') || 'false';
+        const branch = gen.statementToCode(block, 'DO');
+        return `
+            if (${condition}) {
+                ${branch}
+            }
+        `;
+    },
+
+    'control_if_else': (block, gen) => {
+        const condition = gen.valueToCode(block, 'CONDITION') || 'false';
+        const branch = gen.statementToCode(block, 'DO');
+        const elseBranch = gen.statementToCode(block, 'ELSE');
+        return `
+            if (${condition}) {
+                ${branch}
+            } else {
+                ${elseBranch}
+            }
+        `;
+    },
+
+    'control_wait_until': (block, gen) => {
+        const condition = gen.valueToCode(block, 'CONDITION') || 'false';
+        return `
+            while (!(${condition})) {
+                if (getExecutionCancelled()) break;
+                yield;
+            }
+        `;
+    },
+
+    'control_repeat_until': (block, gen) => {
+        const condition = gen.valueToCode(block, 'CONDITION') || 'false';
+        const branch = gen.statementToCode(block, 'DO');
+        return `
+            while (!(${condition})) {
+                if (getExecutionCancelled()) break;
+                ${branch}
+                yield;
+            }
+        `;
+    },
+
+    'control_stop': (block) => {
+        switch (block.fields.STOP_OPTION) {
+            case 'OTHER_SCRIPTS':
+                return `
+            runtime.stopOtherScripts(sprite);
+        `;
+            case 'THIS_SCRIPT':
+                // The runner drops the stopped thread at this yield.
+                return `
+            runtime.stopThisScript();
+            yield;
+        `;
+            default:
+                return `
+            runtime.stopAll();
+            yield;
+        `;
+        }
+    },
+
+    'control_create_clone_of': (block, gen) => `
+            cloning.create(sprite, ${gen.constant(block.fields.TARGET_SPRITE)});
+        `,
+
+    'control_delete_this_clone': () => `
+            if (cloning.deleteSelf(sprite)) {
+                // Ends the whole script, also from inside a My Block.
+                runtime.stopThisScript();
+                yield;
+            }
+        `,
+
+    // --- Operators ---
+    'math_number': (block) => numberCode(block.fields.NUM),
+    'text': (block, gen) => gen.constant(block.fields.TEXT || ''),
+
+    'operator_add': (block, gen) => `(Number(${gen.valueToCode(block, 'A') || '0'}) + Number(${gen.valueToCode(block, 'B') || '0'}))`,
+    'operator_subtract': (block, gen) => `(Number(${gen.valueToCode(block, 'A') || '0'}) - Number(${gen.valueToCode(block, 'B') || '0'}))`,
+    'operator_multiply': (block, gen) => `(Number(${gen.valueToCode(block, 'A') || '0'}) * Number(${gen.valueToCode(block, 'B') || '0'}))`,
+    'operator_divide': (block, gen) => `(Number(${gen.valueToCode(block, 'A') || '0'}) / Number(${gen.valueToCode(block, 'B') || '1'}))`,
+
+    'operator_lt': (block, gen) => `(compareValues(${gen.valueToCode(block, 'A') || '0'}, ${gen.valueToCode(block, 'B') || '0'}) < 0)`,
+    'operator_equals': (block, gen) => `(compareValues(${gen.valueToCode(block, 'A') || '0'}, ${gen.valueToCode(block, 'B') || '0'}) === 0)`,
+    'operator_gt': (block, gen) => `(compareValues(${gen.valueToCode(block, 'A') || '0'}, ${gen.valueToCode(block, 'B') || '0'}) > 0)`,
+
+    'operator_and': (block, gen) => `(Boolean(${gen.valueToCode(block, 'A') || 'false'}) && Boolean(${gen.valueToCode(block, 'B') || 'false'}))`,
+    'operator_or': (block, gen) => `(Boolean(${gen.valueToCode(block, 'A') || 'false'}) || Boolean(${gen.valueToCode(block, 'B') || 'false'}))`,
+    'operator_not': (block, gen) => `(!(${gen.valueToCode(block, 'BOOL') || 'false'}))`,
+
+    'operator_random_number': (block) => {
+        const from = numberCode(block.fields.FROM);
+        const to = numberCode(block.fields.TO);
+        return `Math.floor(Math.random() * (${to} - ${from} + 1)) + ${from}`;
+    },
+
+    // --- Variables ---
+    'data_variable': (block, gen) => `variables.get(sprite, ${gen.constant(block.fields.VAR)})`,
+
+    'data_set_variable_to': (block, gen) => {
+        const value = gen.valueToCode(block, 'VALUE') || '0';
+        return `
+            variables.set(sprite, ${gen.constant(block.fields.VAR)}, ${value});
+        `;
+    },
+
+    'data_change_variable_by': (block, gen) => {
+        const amount = gen.valueToCode(block, 'VALUE') || '1';
+        return `
+            variables.change(sprite, ${gen.constant(block.fields.VAR)}, ${amount});
+        `;
+    },
+
+    // --- My Blocks ---
+    'procedures_call': (block, gen) => {
+        const procedure = mutationToProcedure(block.mutation);
+        const definition = findProcedureDefinition(gen.topBlocks, procedure.id);
+        if (!definition) return '';
+
+        const functionName = gen.getProcedureFunctionName(procedure.id);
+        if (!(functionName in gen.definitions)) {
+            // Register the name before generating the body so recursive calls don't loop here.
+            gen.definitions[functionName] = '';
+            const body = gen.blockToCode(definition.next);
+            gen.definitions[functionName] = `
+                function* ${functionName}(params) {
+                    ${body}
+                }
+            `;
+        }
+
+        // The definition's stack runs inside the calling thread.
+        const args = mutationToProcedure(definition.mutation).args.map((arg, i) => {
+            const value = gen.valueToCode(block, 'ARG' + i) || getArgDefaultCode(arg);
+            return `[${gen.constant(arg.name)}]: ${value}`;
+        });
+        return `
+            yield* ${functionName}({ ${args.join(', ')} });
+        `;
+    },
+
+    'procedures_argument': (block, gen) => {
+        const name = block.fields.NAME;
+        const root = getRootBlock(block);
+        const arg = root.type === 'procedures_definition' && mutationToProcedure(root.mutation).args.find(a => a.name === name);
+        // Outside its own define block the input has no value.
+        if (!arg) return '0';
+        return `params[${gen.constant(name)}]`;
+    },
+
+    // --- Sensing ---
+    'sensing_touching': (block, gen) => `sensing.touching(sprite, ${gen.constant(block.fields.TARGET_SPRITE)})`,
+    'sensing_distance_to': (block, gen) => `sensing.distanceTo(sprite, ${gen.constant(block.fields.TARGET_SPRITE)})`,
+    'sensing_mouse_x': () => 'sensing.mouseX()',
+    'sensing_mouse_y': () => 'sensing.mouseY()',
+    'sensing_key_pressed': (block, gen) => `sensing.isKeyPressed(${gen.constant(block.fields.KEY)})`,
+    'sensing_timer': () => 'sensing.timer()',
+    'sensing_reset_timer': () => `
+            sensing.resetTimer();
+        `,
+};
@@ -2,6 +2,18 @@ import { initCharacterCreator } from './Caracter.js';
 import { SpriteCenterEditor } from './center.js';
 import soundUIController from './sound-ui.js';
 import { BackdropScroller } from './scroller.js';
+import { VariableDialog } from './variable-dialog.js';
+import { ProcedureDialog } from './procedure-dialog.js';
+import { ErrorListPanel } from './error-list.js';
+import { ProjectSettingsDialog } from './project-settings.js';
+import { MessageDialog } from './message-dialog.js';
+import { TouchControls } from './touch-controls.js';
+import { GamepadInput } from './gamepad.js';
+import { RuntimeClock } from './clock.js';
+import { Runtime, KEY_VALUES, KEY_NAMES, getKeyName } from './runtime.js';
+import { STAGE_WIDTH, STAGE_HEIGHT, SPRITE_BASE_SIZE } from './collision.js';
+import { CostumeMasks } from './costume-masks.js';
+import { getMessageIconUrl } from './messages.js';
 
 document.addEventListener('DOMContentLoaded', () => {
     // START OF CUSTOM TOOLBOX RRENDERER
@@ -331,6 +343,7 @@ document.addEventListener('DOMContentLoaded', () => {
     const propRotationAllAround = document.getElementById('rotation-all-around');
     const propRotationLeftRight = document.getElementById('rotation-left-right');
     const propRotationDontRotate = document.getElementById('rotation-dont-rotate');
+    const propEdgeModeButtons = document.querySelectorAll('#prop-edge-mode button');
     const scrollUpBtn = document.getElementById('scroll-up-btn');
     const scrollDownBtn = document.getElementById('scroll-down-btn');
     
@@ -354,21 +367,21 @@ document.addEventListener('DOMContentLoaded', () => {
     const allGalleries = [spriteGallery, backgroundGallery, soundGallery];
 
     // --- Application State ---
-    const STAGE_WIDTH = 480;
-    const STAGE_HEIGHT = 360;
     let workspace;
-    let sprites = {};
     let activeSpriteId = null;
-    let executionCancelled = false;
     let isLoadingProject = false;
-    let collisionState = new Set();
-    let scriptRunner = null;
-    let lastTimestamp = 0;
     let nextZIndex = 10;
     let centerEditor = null;
     let backdropScroller = null;
-    // Make frameDeltaTime accessible globally so the generated code can see it.
-    window.frameDeltaTime = 1000 / 60; // Time in ms for one frame at 60fps.
+    let variableDialog = null;
+    let procedureDialog = null;
+    let messageDialog = null;
+    let errorListPanel = null;
+    let projectSettingsDialog = null;
+    let touchControls = null;
+    let gamepadInput = null;
+    // The one clock every timed block reads. gameLoop advances it; the ScriptRunner pauses and steps it.
+    const runtimeClock = new RuntimeClock();
     
     // --- Script Copy Drag/Drop State ---
     let isDraggingForCopy = false;
@@ -380,6 +393,45 @@ document.addEventListener('DOMContentLoaded', () => {
         console.log(message);
     };
 
+    // Which pixels of each costume can bump, read from the sprite images.
+    const costumeMasks = new CostumeMasks();
+
+    // Sprites, clones, variables and running scripts live in the runtime;
+    // this file draws them on the stage and edits them.
+    const runtime = new Runtime({
+        clock: runtimeClock,
+        log,
+        host: {
+            refreshSprite: (sprite) => window.refreshSprite(sprite),
+            showSpeech: (sprite) => updateSpeechBubble(sprite),
+            showBackdrop: (url) => window.switchBackdrop(url),
+            scrollBackdrop: (direction, speed) => {
+                if (backdropScroller) backdropScroller.scroll(direction, speed);
+            },
+            stopBackdropScroll: () => {
+                if (backdropScroller) backdropScroller.stop();
+            },
+            playSound: (url) => {
+                const sound = soundUIController.soundManager.getAllSounds().find(s => s.url === url);
+                if (!sound) {
+                    console.warn(`Could not find sound ID for URL: ${url}`);
+                    return null;
+                }
+                return soundUIController.soundManager.playSound(sound.id);
+            },
+            cloneCreated: (clone) => addCloneToStage(clone),
+            cloneDeleted: (clone) => document.getElementById(`container-${clone.id}`)?.remove(),
+            scriptsStarted: () => onScriptsStarted(),
+            scriptsStopped: () => onScriptsStopped(),
+            scriptError: (error) => onScriptError(error),
+            getCostumeMask: (sprite) => costumeMasks.get(sprite),
+            now: () => performance.now(),
+        },
+    });
+    const sprites = runtime.sprites;
+    const clones = runtime.clones;
+    const scriptRunner = runtime.scriptRunner;
+
     const openGallery = (galleryToOpen) => {
         allGalleries.forEach(gallery => {
             if (gallery !== galleryToOpen) {
@@ -390,6 +442,10 @@ document.addEventListener('DOMContentLoaded', () => {
     };
 
     const getActiveSprite = () => sprites[activeSpriteId] || null;
+
+    // Sprites and their clones share one id space on the stage.
+    const getStageSprite = (id) => runtime.getStageSprite(id);
+    const getAllStageSprites = () => runtime.getAllStageSprites();
     
     const updatePropertiesPanel = () => {
         const sprite = getActiveSprite();
@@ -416,6 +472,10 @@ document.addEventListener('DOMContentLoaded', () => {
             propRotationLeftRight.classList.toggle('active', sprite.rotationStyle === 'left-right');
             propRotationDontRotate.classList.toggle('active', sprite.rotationStyle === 'dont-rotate');
 
+            propEdgeModeButtons.forEach(button => {
+                button.classList.toggle('active', sprite.edgeMode === button.dataset.edgeMode);
+            });
+
             if (sprite.isGif && sprite.animation) {
                 gifAnimationPanel.classList.remove('hidden');
                 gifSpeedSlider.value = sprite.gifSpeed;
@@ -432,44 +492,8 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     };
 
-    window.changeSpriteLayer = (sprite, action) => {
-        if (!sprite) return;
-
-        const sortedSprites = Object.values(sprites).sort((a, b) => a.zIndex - b.zIndex);
-        const currentIndex = sortedSprites.findIndex(s => s.id === sprite.id);
-    
-        if (currentIndex === -1) return;
-    
-        // Reorder the array based on the action
-        const [removed] = sortedSprites.splice(currentIndex, 1); // remove the sprite from its current position
-        switch (action) {
-            case 'FORWARD':
-                // Insert it one position ahead, capped at the end
-                sortedSprites.splice(Math.min(currentIndex + 1, sortedSprites.length), 0, removed);
-                break;
-            case 'BACKWARD':
-                // Insert it one position behind, capped at the start
-                sortedSprites.splice(Math.max(currentIndex - 1, 0), 0, removed);
-                break;
-            case 'FRONT':
-                sortedSprites.push(removed); // Add to the end
-                break;
-            case 'BACK':
-                sortedSprites.unshift(removed); // Add to the beginning
-                break;
-        }
-    
-        // Re-assign z-indices based on the new order
-        const baseZIndex = 10;
-        sortedSprites.forEach((s, index) => {
-            s.zIndex = baseZIndex + index;
-        });
-    
-        // Update the appearance of all sprites on the stage
-        Object.values(sprites).forEach(s => window.refreshSprite(s));
-    };
-
     window.switchBackdrop = (url) => {
+        runtime.currentBackdrop = url && url !== 'NONE' ? url : null;
         if (!url || url === 'NONE') {
             if (backdropScroller) backdropScroller.updateImage(null);
             return;
@@ -486,123 +510,19 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     };
     
-    window.switchToNextBackdrop = () => {
-        const backdropCards = Array.from(document.querySelectorAll('#backdrops-list .backdrop-card'));
-        if (backdropCards.length < 2) {
-            log('Not enough backdrops to switch to next.');
-            return;
-        }
-
-        const currentCard = document.querySelector('#backdrops-list .backdrop-card.selected');
-        let currentIndex = -1;
-        if (currentCard) {
-            currentIndex = backdropCards.indexOf(currentCard);
-        }
-
-        // If no card is selected, try to find it by URL (less efficient fallback)
-        if (currentIndex === -1) {
-            const currentUrl = stageArea.style.backgroundImage.slice(5, -2); // Extract URL
-            currentIndex = backdropCards.findIndex(card => card.dataset.url === currentUrl);
-        }
-        
-        const nextIndex = (currentIndex + 1) % backdropCards.length;
-        const nextBackdropUrl = backdropCards[nextIndex].dataset.url;
-        
-        if (nextBackdropUrl) {
-            window.switchBackdrop(nextBackdropUrl);
-        }
-    };
-
-    window.switchToRandomBackdrop = () => {
-        const backdropCards = Array.from(document.querySelectorAll('#backdrops-list .backdrop-card'));
-        if (backdropCards.length === 0) {
-            log('No backdrops for random selection.');
-            return;
-        }
-        const randomIndex = Math.floor(Math.random() * backdropCards.length);
-        const randomBackdropUrl = backdropCards[randomIndex].dataset.url;
-        if (randomBackdropUrl) {
-            window.switchBackdrop(randomBackdropUrl);
-        }
+    /** Tells the runtime which backdrops the project has, in card order. */
+    const syncRuntimeBackdrops = () => {
+        runtime.backdrops = Array.from(document.querySelectorAll('#backdrops-list .backdrop-card')).map(card => card.dataset.url);
     };
-    
-    // --- Frame-Based Script Execution Engine (like Scratch) ---
-    class ScriptRunner {
-        constructor(onScriptsComplete) {
-            this.threads = [];
-            this.isRunning = false;
-            this.onScriptsComplete = onScriptsComplete; // Callback for when all scripts are done.
-            log('New script runner created.');
-        }
-
-        add(generator) {
-            this.threads.push(generator);
-            if (!this.isRunning) {
-                this.start();
-            }
-        }
-
-        start() {
-            if (this.isRunning) return;
-            this.isRunning = true;
-            executionCancelled = false;
-            log('Script runner started.');
-        }
-
-        stop() {
-            this.threads = [];
-            executionCancelled = true;
-            log('Script runner stopped.');
-        }
-
-        tick() {
-            if (!this.isRunning) return;
 
-            for (let i = this.threads.length - 1; i >= 0; i--) {
-                const generator = this.threads[i];
-                const result = generator.next();
-                if (result.done) {
-                    this.threads.splice(i, 1);
-                }
-            }
-            
-            if (this.threads.length === 0) {
-                this.isRunning = false; // Set running to false before calling callback
-                // All scripts finished naturally. Call the completion callback.
-                if (this.onScriptsComplete) {
-                    this.onScriptsComplete();
-                }
-            }
-        }
-    }
+    // Custom field for messages. Its options are the project's messages
+    // (runtime.messages), shown by their icon, then the entries that make,
+    // change or delete a message.
+    const MESSAGE_ACTIONS = { NEW: '__new_message__', EDIT: '__edit_message__', DELETE: '__delete_message__' };
 
-    // Custom field for messages
-    const messageOptions = [
-        [{
-            src: 'data:image/svg+xml;utf8,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="red"><path d="M12 21.35l-1.45-1.32C5.4 15.36 2 12.28 2 8.5 2 5.42 4.42 3 7.5 3c1.74 0 3.41.81 4.5 2.09C13.09 3.81 14.76 3 16.5 3 19.58 3 22 5.42 22 8.5c0 3.78-3.4 6.86-8.55 11.54L12 21.35z"/></svg>',
-            width: 24, height: 24, alt: 'Red Heart'
-        }, 'red_heart'],
-        [{
-            src: 'data:image/svg+xml;utf8,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="blue"><path d="M12 17.27L18.18 21l-1.64-7.03L22 9.24l-7.19-.61L12 2 9.19 8.63 2 9.24l5.46 4.73L5.82 21z"/></svg>',
-            width: 24, height: 24, alt: 'Blue Star'
-        }, 'blue_star'],
-        [{
-            src: 'data:image/svg+xml;utf8,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="green"><path d="M1 21h22L12 2 1 21zm12-3h-2v-2h2v2zm0-4h-2v-4h2v4z"/></svg>',
-            width: 24, height: 24, alt: 'Green Triangle'
-        }, 'green_triangle'],
-        [{
-            src: 'data:image/svg+xml;utf8,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="yellow" stroke="black" stroke-width="0.5"><circle cx="12" cy="12" r="10"/></svg>',
-            width: 24, height: 24, alt: 'Yellow Circle'
-        }, 'yellow_circle'],
-        [{
-            src: 'data:image/svg+xml;utf8,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="purple"><path d="M3 3h18v18H3z"/></svg>',
-            width: 24, height: 24, alt: 'Purple Square'
-        }, 'purple_square'],
-        [{
-            src: 'data:image/svg+xml;utf8,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="orange"><path d="M12 2.5l7.5 5.5-3 9H7.5l-3-9L12 2.5z"/></svg>',
-            width: 24, height: 24, alt: 'Orange Pentagon'
-        }, 'orange_pentagon']
-    ];
+    const getMessageOption = (message) => [{
+        src: getMessageIconUrl(message), width: 24, height: 24, alt: message.name
+    }, message.id];
 
     class FieldMessage extends Blockly.FieldDropdown {
         constructor() {
@@ -610,7 +530,33 @@ document.addEventListener('DOMContentLoaded', () => {
         }
 
         static getOptions() {
-            return messageOptions;
+            return [
+                ...runtime.messages.map(getMessageOption),
+                ['New message\u2026', MESSAGE_ACTIONS.NEW],
+                ['Change this message\u2026', MESSAGE_ACTIONS.EDIT],
+                ['Delete this message', MESSAGE_ACTIONS.DELETE],
+            ];
+        }
+
+        // Scripts of other sprites are loaded while a different sprite is active,
+        // so accept any message id instead of only the current options.
+        doClassValidation_(newValue) {
+            if (typeof newValue !== 'string' || Object.values(MESSAGE_ACTIONS).includes(newValue)) return null;
+            return newValue;
+        }
+
+        onItemSelected_(menu, menuItem) {
+            const value = menuItem.getValue();
+            if (value === MESSAGE_ACTIONS.NEW) {
+                messageDialog.open(null, message => this.setValue(message.id));
+            } else if (value === MESSAGE_ACTIONS.EDIT) {
+                const message = runtime.getMessage(this.getValue());
+                if (message) messageDialog.open(message);
+            } else if (value === MESSAGE_ACTIONS.DELETE) {
+                deleteMessage(this.getValue());
+            } else {
+                super.onItemSelected_(menu, menuItem);
+            }
         }
         
         initView() {
@@ -624,30 +570,124 @@ document.addEventListener('DOMContentLoaded', () => {
 
         doValueUpdate_(newValue) {
             super.doValueUpdate_(newValue);
+            const message = runtime.getMessage(newValue);
+            this.selectedOption_ = message ? getMessageOption(message) : ['?', newValue];
             this.updateImageView_();
         }
+
+        /** Redraws the field after its message was changed. */
+        refreshMessage() {
+            this.doValueUpdate_(this.getValue());
+            this.forceRerender();
+        }
         
         updateImageView_() {
             if (this.value_ && this.imageElement_) {
-                const options = this.getOptions(false);
-                const selectedOption = options.find(opt => opt[1] === this.value_);
-                if (selectedOption) {
+                const message = runtime.getMessage(this.value_);
+                if (message) {
                     this.imageElement_.setAttributeNS(
                         'http://www.w3.org/1999/xlink',
                         'xlink:href',
-                        selectedOption[0].src
+                        getMessageIconUrl(message)
                     );
-                    if(this.textElement_) {
-                    this.textElement_.style.display = 'none';
-                    }
                 }
+                // A message that is not in the project shows as "?".
+                if (this.textElement_) {
+                    this.textElement_.style.display = message ? 'none' : '';
+                }
+                this.setTooltip(message ? message.name : '');
             }
         }
     }
     Blockly.fieldRegistry.register('field_message', FieldMessage);
+
+    /** Redraws the message fields of the visible blocks and the flyout. */
+    const refreshMessageFields = () => {
+        workspace.getAllBlocks(false).forEach(block => {
+            const field = block.getField('MESSAGE');
+            if (field instanceof FieldMessage) field.refreshMessage();
+        });
+        workspace.refreshToolboxSelection();
+    };
+
+    const createMessage = (look) => {
+        const message = { id: `msg-${Date.now()}`, ...look };
+        runtime.messages.push(message);
+        log(`Message '${message.name}' created.`);
+        workspace.refreshToolboxSelection();
+        return message;
+    };
+
+    // Blocks store only the message id, so a new name or look shows in the
+    // scripts of every sprite without changing them.
+    const updateMessage = (messageId, look) => {
+        const message = runtime.getMessage(messageId);
+        Object.assign(message, look);
+        log(`Message '${message.name}' changed.`);
+        refreshMessageFields();
+        return message;
+    };
+
+    /**
+     * Deletes a message. The blocks of every sprite that use it switch to
+     * another message, so no script is left with a message that is gone.
+     * @param {string} messageId The id of the message.
+     */
+    const deleteMessage = (messageId) => {
+        const message = runtime.getMessage(messageId);
+        if (!message) return;
+        const replacement = runtime.messages.find(other => other !== message);
+        if (!replacement) {
+            alert('A project needs at least one message.');
+            return;
+        }
+
+        saveActiveSpriteWorkspace();
+        const uses = [];
+        Object.values(sprites).forEach(sprite => {
+            if (!sprite.workspaceXml) return;
+            const dom = Blockly.Xml.textToDom(sprite.workspaceXml);
+            const fields = Array.from(dom.querySelectorAll('field[name="MESSAGE"]'))
+                .filter(field => field.textContent === messageId);
+            if (fields.length > 0) uses.push({ sprite, dom, fields });
+        });
+        const useCount = uses.reduce((count, use) => count + use.fields.length, 0);
+        if (useCount > 0 && !confirm(`${useCount} block(s) use the message '${message.name}'. ` +
+            `They will use '${replacement.name}' instead. Delete the message?`)) {
+            return;
+        }
+
+        runtime.messages.splice(runtime.messages.indexOf(message), 1);
+        uses.forEach(({ sprite, dom, fields }) => {
+            if (sprite.id === activeSpriteId) return; // Changed in the editor below.
+            fields.forEach(field => { field.textContent = replacement.id; });
+            sprite.workspaceXml = Blockly.Xml.domToText(dom);
+        });
+        workspace.getAllBlocks(false).forEach(block => {
+            const field = block.getField('MESSAGE');
+            if (field instanceof FieldMessage && field.getValue() === messageId) {
+                field.setValue(replacement.id);
+            }
+        });
+        saveActiveSpriteWorkspace();
+        log(`Message '${message.name}' deleted.`);
+        refreshMessageFields();
+    };
     
+    // The stage's size on the page. Read once after each resize, so moving
+    // sprites every frame doesn't make the browser work out the layout again.
+    let stageDisplayRect = null;
+    const getStageDisplayRect = () => {
+        if (!stageDisplayRect) stageDisplayRect = stageArea.getBoundingClientRect();
+        return stageDisplayRect;
+    };
+    new ResizeObserver(() => {
+        stageDisplayRect = null;
+        getAllStageSprites().forEach(sprite => updateSpriteAppearance(sprite.id));
+    }).observe(stageArea);
+
     const updateSpriteAppearance = (spriteId) => {
-        const spriteData = sprites[spriteId];
+        const spriteData = getStageSprite(spriteId);
         if (!spriteData) return;
 
         const container = document.getElementById(`container-${spriteData.id}`);
@@ -655,15 +695,16 @@ document.addEventListener('DOMContentLoaded', () => {
         const wrapper = container.querySelector('.sprite-wrapper');
         
         if (container && wrapper) {
-            const rect = stageArea.getBoundingClientRect();
+            const rect = getStageDisplayRect();
             const stageToSpriteX = STAGE_WIDTH / rect.width;
             const stageToSpriteY = STAGE_HEIGHT / rect.height;
 
             const stageX = spriteData.x / stageToSpriteX;
             const stageY = -spriteData.y / stageToSpriteY;
             
-            const baseSize = 160;
-            const newSize = baseSize * (spriteData.size / 100);
+            // Drawn in the same units as the position, so the picture matches
+            // the bounds the collisions use (see collision.js) at any stage size.
+            const newSize = SPRITE_BASE_SIZE * (spriteData.size / 100) / stageToSpriteX;
 
             // --- Rotation Logic ---
             let rotationTransform = '';
@@ -718,6 +759,15 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     };
     
+    /** Shows or hides a sprite's speech bubble to match sprite.sayText. */
+    const updateSpeechBubble = (sprite) => {
+        const bubble = document.querySelector(`#container-${sprite.id} .speech-bubble`);
+        if (!bubble) return;
+        const isSpeaking = typeof sprite.sayText === 'string';
+        if (isSpeaking) bubble.textContent = sprite.sayText;
+        bubble.classList.toggle('visible', isSpeaking);
+    };
+
     const updateMotionBlocksInToolbox = (x, y) => {
         const toolbox = workspace?.getToolbox();
         if (!toolbox) return;
@@ -800,6 +850,26 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    /**
+     * Makes the image of a sprite. The name and image come from project
+     * files, so they are set as attributes, never as HTML.
+     */
+    const createSpriteImage = ({ name, imageUrl }) => {
+        const image = document.createElement('img');
+        image.setAttribute('src', imageUrl);
+        image.setAttribute('alt', name);
+        return image;
+    };
+
+    /** Fills a sprite's .sprite-wrapper on the stage: image, GIF canvas and speech bubble. */
+    const fillSpriteWrapper = (wrapper, sprite) => {
+        const canvas = document.createElement('canvas');
+        canvas.className = 'hidden absolute top-0 left-0 w-full h-full';
+        const bubble = document.createElement('div');
+        bubble.className = 'speech-bubble';
+        wrapper.append(createSpriteImage(sprite), canvas, bubble);
+    };
+
     function createAndAttachSpriteCard(spriteData) {
         const { id, name, imageUrl, isCustom } = spriteData;
 
@@ -807,7 +877,6 @@ document.addEventListener('DOMContentLoaded', () => {
         spriteCard.classList.add('sprite-card');
         spriteCard.dataset.spriteId = id;
         spriteCard.innerHTML = `
-            <img src="${imageUrl}" alt="${name}">
             <div class="delete-button">X</div>
             <div class="duplicate-button" title="Duplicate">
                 <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="3">
@@ -822,6 +891,7 @@ document.addEventListener('DOMContentLoaded', () => {
                     </svg>
                 </div>` : ''}
         `;
+        spriteCard.prepend(createSpriteImage({ name, imageUrl }));
         spritesList.appendChild(spriteCard);
 
         // Attach listeners
@@ -853,6 +923,7 @@ document.addEventListener('DOMContentLoaded', () => {
             opacity: 1,
             size: 100,
             rotationStyle: 'all-around',
+            edgeMode: 'wrap',
             workspaceXml: null,
             isCustom: isCustom,
             characterData: characterData,
@@ -865,7 +936,7 @@ document.addEventListener('DOMContentLoaded', () => {
             zIndex: nextZIndex++,
             centerX: 0.5,
             centerY: 0.5,
-            activeKeyScriptCount: 0,
+            variables: {}, // Variables for this sprite only, keyed by variable id.
         };
         
         sprites[id] = spriteData;
@@ -879,11 +950,7 @@ document.addEventListener('DOMContentLoaded', () => {
         const mainSprite = document.createElement('div');
         mainSprite.classList.add('sprite-wrapper');
         mainSprite.id = id;
-        mainSprite.innerHTML = `
-            <img src="${imageUrl}" alt="${name}">
-            <canvas class="hidden absolute top-0 left-0 w-full h-full"></canvas>
-            <div class="speech-bubble"></div>
-        `;
+        fillSpriteWrapper(mainSprite, spriteData);
         
         spriteContainer.appendChild(mainSprite);
         stageArea.appendChild(spriteContainer);
@@ -904,10 +971,12 @@ document.addEventListener('DOMContentLoaded', () => {
     };
 
     const deleteSprite = (id) => {
+        Object.values(clones).filter(clone => clone.cloneOf === id).forEach(clone => runtime.deleteClone(clone.id));
         document.getElementById(`container-${id}`)?.remove();
         document.querySelector(`.sprite-card[data-sprite-id="${id}"]`)?.remove();
         
         delete sprites[id];
+        runtime.scriptIndex.forget(id);
 
         if (activeSpriteId === id) {
             activeSpriteId = null;
@@ -926,6 +995,24 @@ document.addEventListener('DOMContentLoaded', () => {
         log(`Sprite ${id} deleted.`);
     };
     
+    /**
+     * Points the "tell" blocks of a copied workspace that tell the original
+     * sprite at the copy instead, so the copy tells itself like the original did.
+     * @param {string} xml The copied workspace XML.
+     * @param {string} fromId The id of the original sprite.
+     * @param {string} toId The id of the copy.
+     * @returns {string} The changed XML.
+     */
+    const retargetTellBlocks = (xml, fromId, toId) => {
+        if (!xml) return xml;
+        const dom = Blockly.Xml.textToDom(xml);
+        const fields = Array.from(dom.querySelectorAll('block[type="event_tell_sprite"] > field[name="TARGET_SPRITE"]'))
+            .filter(field => field.textContent === fromId);
+        if (fields.length === 0) return xml;
+        fields.forEach(field => { field.textContent = toId; });
+        return Blockly.Xml.domToText(dom);
+    };
+
     const duplicateSprite = (sourceId) => {
         const sourceSprite = sprites[sourceId];
         if (!sourceSprite) return;
@@ -954,7 +1041,7 @@ document.addEventListener('DOMContentLoaded', () => {
         newData.y -= 20; // Offset up and to the right
         newData.zIndex = nextZIndex++;
         newData.animation = null; // Ensure animation is null for recreation
-        newData.activeKeyScriptCount = 0;
+        newData.workspaceXml = retargetTellBlocks(newData.workspaceXml, sourceId, newId);
 
         // 3. Create the new sprite using the copied data
         loadSpriteFromData(newData);
@@ -967,6 +1054,38 @@ document.addEventListener('DOMContentLoaded', () => {
         // 5. Reset the run/stop buttons to the initial state.
         stopAllScripts();
     };
+
+    /**
+     * Puts a clone made by the runtime on the stage. Clones get no sprite
+     * card and can't be dragged, but they can still be clicked.
+     * @param {object} clone The new clone.
+     */
+    const addCloneToStage = (clone) => {
+        const spriteContainer = document.createElement('div');
+        spriteContainer.id = `container-${clone.id}`;
+        spriteContainer.classList.add('sprite-container');
+
+        const wrapper = document.createElement('div');
+        wrapper.classList.add('sprite-wrapper');
+        wrapper.id = clone.id;
+        fillSpriteWrapper(wrapper, clone);
+        spriteContainer.appendChild(wrapper);
+        stageArea.appendChild(spriteContainer);
+
+        wrapper.addEventListener('mousedown', (e) => { e.preventDefault(); handleSpriteClick(clone.id); });
+        wrapper.addEventListener('touchstart', (e) => { e.preventDefault(); handleSpriteClick(clone.id); }, { passive: false });
+
+        if (clone.isGif) {
+            loadGifData(clone).then(() => {
+                if (clone.animation) {
+                    clone.animation.isPlaying = true;
+                    clone.animation.previewIsPlaying = false;
+                }
+            });
+        }
+
+        updateSpriteAppearance(clone.id);
+    };
     
     // --- Angle Picker State & Handlers (Refactored for Robustness) ---
     let anglePickerTargetSpriteId = null;
@@ -1109,6 +1228,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 workspace.clear(); // Clear on error to avoid broken state
             }
         }
+        showErrorBadges();
 
         // 5. Select new card
         const newCard = document.querySelector(`.sprite-card[data-sprite-id="${spriteId}"]`);
@@ -1138,12 +1258,28 @@ document.addEventListener('DOMContentLoaded', () => {
     };
 
     const getPointerPosition = (e) => {
-        if (e.touches && e.touches.length > 0) {
-            return { x: e.touches[0].clientX, y: e.touches[0].clientY };
+        // A touch that just ended is only in changedTouches.
+        const touches = e.touches && e.touches.length > 0 ? e.touches : e.changedTouches;
+        if (touches && touches.length > 0) {
+            return { x: touches[0].clientX, y: touches[0].clientY };
         }
         return { x: e.clientX, y: e.clientY };
     };
 
+    /**
+     * Converts a point on the page (from getPointerPosition) to stage
+     * coordinates, with 0,0 in the middle and y going up.
+     * @returns {?{x: number, y: number}} Null while the stage has no size.
+     */
+    const clientToStagePosition = ({ x, y }) => {
+        const rect = stageArea.getBoundingClientRect();
+        if (!rect.width || !rect.height) return null;
+        return {
+            x: (x - rect.left - rect.width / 2) * (STAGE_WIDTH / rect.width),
+            y: -(y - rect.top - rect.height / 2) * (STAGE_HEIGHT / rect.height),
+        };
+    };
+
     function handleSpriteMouseDown(startEvent, spriteId) {
         startEvent.preventDefault();
         const spriteData = sprites[spriteId];
@@ -1202,8 +1338,9 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     window.addEventListener('resize', () => {
+        stageDisplayRect = null;
         if (backdropScroller) backdropScroller.resetPositions();
-        Object.keys(sprites).forEach(updateSpriteAppearance);
+        getAllStageSprites().forEach(sprite => updateSpriteAppearance(sprite.id));
         Blockly.svgResize(workspace);
     });
     
@@ -1304,7 +1441,6 @@ document.addEventListener('DOMContentLoaded', () => {
             this.setHelpUrl("");
         }
     };
-    Blockly.JavaScript['event_when_flag_clicked'] = function(block) { return ''; };
 
     Blockly.Blocks['event_when_sprite_clicked'] = {
         init: function() {
@@ -1317,76 +1453,188 @@ document.addEventListener('DOMContentLoaded', () => {
             this.setHelpUrl("");
         }
     };
-    Blockly.JavaScript['event_when_sprite_clicked'] = function(block) { return ''; };
+
+    // Key choices shared by the key hat and the "key pressed?" sensing block.
+    // Draws a key cap with a label, like the arrow keys below.
+    const getKeyCapIcon = (label, width = 24) =>
+        `data:image/svg+xml;utf8,<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="24" viewBox="0 0 ${width} 24"><rect x="1" y="1" width="${width - 2}" height="22" rx="4" fill="%23fff" stroke="%23555" stroke-width="2"/><text x="${width / 2}" y="16" font-family="Arial" font-size="12" font-weight="bold" text-anchor="middle" fill="%23000">${label}</text></svg>`;
+
+    const KEY_OPTIONS = [
+        [
+            {
+                src: 'data:image/svg+xml;utf8,<svg xmlns="http://www.w3.org/2000/svg" width="48" height="24" viewBox="0 0 48 24"><rect x="1" y="1" width="46" height="22" rx="4" fill="%23fff" stroke="%23555" stroke-width="2"/><text x="24" y="16" font-family="Arial" font-size="12" text-anchor="middle" fill="%23000">space</text></svg>',
+                width: 48,
+                height: 24,
+                alt: 'space'
+            },
+            'SPACE'
+        ],
+        [
+             {
+                src: 'data:image/svg+xml;utf8,<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24"><rect x="3" y="3" width="18" height="18" rx="4" fill="%23fff" stroke="%23555" stroke-width="2"/><path d="M12 8l-4 4h8z" fill="%23555"/></svg>',
+                width: 24,
+                height: 24,
+                alt: 'up arrow'
+            },
+            'UP'
+        ],
+        [
+            {
+                src: 'data:image/svg+xml;utf8,<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24"><rect x="3" y="3" width="18" height="18" rx="4" fill="%23fff" stroke="%23555" stroke-width="2"/><path d="M12 16l4-4H8z" fill="%23555"/></svg>',
+                width: 24,
+                height: 24,
+                alt: 'down arrow'
+            },
+            'DOWN'
+        ],
+        [
+            {
+                src: 'data:image/svg+xml;utf8,<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24"><rect x="3" y="3" width="18" height="18" rx="4" fill="%23fff" stroke="%23555" stroke-width="2"/><path d="M14 12l-4 4V8z" fill="%23555"/></svg>',
+                width: 24,
+                height: 24,
+                alt: 'right arrow'
+            },
+            'RIGHT'
+        ],
+        [
+            {
+                src: 'data:image/svg+xml;utf8,<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24"><rect x="3" y="3" width="18" height="18" rx="4" fill="%23fff" stroke="%23555" stroke-width="2"/><path d="M10 12l4-4v8z" fill="%23555"/></svg>',
+                width: 24,
+                height: 24,
+                alt: 'left arrow'
+            },
+            'LEFT'
+        ],
+        [{ src: getKeyCapIcon('enter', 48), width: 48, height: 24, alt: 'enter' }, 'ENTER'],
+        [{ src: getKeyCapIcon('any', 48), width: 48, height: 24, alt: 'any key' }, 'ANY'],
+        ...KEY_NAMES.filter(key => !(key in KEY_VALUES)).map(key =>
+            [{ src: getKeyCapIcon(key), width: 24, height: 24, alt: key }, key]),
+    ];
+
+    // The key picker's layout, by key field value.
+    const KEYBOARD_ROWS = [
+        ['1', '2', '3', '4', '5', '6', '7', '8', '9', '0'],
+        ['Q', 'W', 'E', 'R', 'T', 'Y', 'U', 'I', 'O', 'P'],
+        ['A', 'S', 'D', 'F', 'G', 'H', 'J', 'K', 'L', 'ENTER'],
+        ['Z', 'X', 'C', 'V', 'B', 'N', 'M', 'UP'],
+        ['ANY', 'SPACE', 'LEFT', 'DOWN', 'RIGHT'],
+    ];
+
+    // Whether a key picker is open. Keys pressed to pick a key don't start scripts.
+    let isKeyPickerOpen = false;
+
+    // Key field that opens a keyboard to pick from instead of a long list.
+    // Pressing a real key while it is open picks that key.
+    class FieldKey extends Blockly.FieldDropdown {
+        constructor() {
+            super(KEY_OPTIONS);
+        }
+
+        showEditor_() {
+            const contentDiv = Blockly.DropDownDiv.getContentDiv();
+            Blockly.DropDownDiv.clearContent();
+
+            const keyboard = document.createElement('div');
+            keyboard.className = 'key-picker';
+            KEYBOARD_ROWS.forEach(row => {
+                const rowElement = document.createElement('div');
+                rowElement.className = 'key-picker-row';
+                row.forEach(keyName => {
+                    const [image] = KEY_OPTIONS.find(option => option[1] === keyName);
+                    const button = document.createElement('button');
+                    button.className = 'key-picker-key';
+                    button.classList.toggle('selected', keyName === this.getValue());
+                    button.title = image.alt;
+                    button.innerHTML = `<img src="${image.src}" width="${image.width}" height="${image.height}" alt="${image.alt}">`;
+                    button.addEventListener('click', () => this.pickKey(keyName));
+                    rowElement.appendChild(button);
+                });
+                keyboard.appendChild(rowElement);
+            });
+            contentDiv.appendChild(keyboard);
+
+            // Heard on the window before the page's key handlers, which it keeps the key from.
+            const onKeyDown = (event) => {
+                event.stopPropagation();
+                if (event.key === 'Escape') {
+                    Blockly.DropDownDiv.hideIfOwner(this, true);
+                    return;
+                }
+                const keyName = getKeyName(event.key, event.code);
+                if (keyName) {
+                    event.preventDefault();
+                    this.pickKey(keyName);
+                }
+            };
+            window.addEventListener('keydown', onKeyDown, true);
+            isKeyPickerOpen = true;
+            Blockly.DropDownDiv.setColour('#FCF8F0', '#d4c4b0');
+            Blockly.DropDownDiv.showPositionedByField(this, () => {
+                window.removeEventListener('keydown', onKeyDown, true);
+                isKeyPickerOpen = false;
+            });
+        }
+
+        pickKey(keyName) {
+            this.setValue(keyName);
+            Blockly.DropDownDiv.hideIfOwner(this, true);
+        }
+    }
+    Blockly.fieldRegistry.register('field_key', FieldKey);
+
+    const KEY_EVENT_ICONS = {
+        'pressed': `data:image/svg+xml;utf8,<svg xmlns='http://www.w3.org/2000/svg' width='24' height='24' viewBox='0 0 24 24' fill='none' stroke='white' stroke-width='2.5' stroke-linecap='round' stroke-linejoin='round'><path d='M12 3v12'/><path d='m7 10 5 5 5-5'/><path d='M5 20h14'/></svg>`,
+        'held': `data:image/svg+xml;utf8,<svg xmlns='http://www.w3.org/2000/svg' width='24' height='24' viewBox='0 0 24 24' fill='none' stroke='white' stroke-width='2.5' stroke-linecap='round' stroke-linejoin='round'><path d='m17 2 4 4-4 4'/><path d='M3 11V9a3 3 0 0 1 3-3h15'/><path d='m7 22-4-4 4-4'/><path d='M21 13v2a3 3 0 0 1-3 3H3'/></svg>`,
+        'released': `data:image/svg+xml;utf8,<svg xmlns='http://www.w3.org/2000/svg' width='24' height='24' viewBox='0 0 24 24' fill='none' stroke='white' stroke-width='2.5' stroke-linecap='round' stroke-linejoin='round'><path d='M12 21V9'/><path d='m7 14 5-5 5 5'/><path d='M5 4h14'/></svg>`,
+    };
 
     Blockly.Blocks['event_when_key_pressed'] = {
         init: function() {
-            const keyOptions = [
-                [
-                    {
-                        src: 'data:image/svg+xml;utf8,<svg xmlns="http://www.w3.org/2000/svg" width="48" height="24" viewBox="0 0 48 24"><rect x="1" y="1" width="46" height="22" rx="4" fill="%23fff" stroke="%23555" stroke-width="2"/><text x="24" y="16" font-family="Arial" font-size="12" text-anchor="middle" fill="%23000">space</text></svg>',
-                        width: 48,
-                        height: 24,
-                        alt: 'space'
-                    },
-                    'SPACE'
-                ],
-                [
-                     {
-                        src: 'data:image/svg+xml;utf8,<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24"><rect x="3" y="3" width="18" height="18" rx="4" fill="%23fff" stroke="%23555" stroke-width="2"/><path d="M12 8l-4 4h8z" fill="%23555"/></svg>',
-                        width: 24,
-                        height: 24,
-                        alt: 'up arrow'
-                    },
-                    'UP'
-                ],
-                [
-                    {
-                        src: 'data:image/svg+xml;utf8,<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24"><rect x="3" y="3" width="18" height="18" rx="4" fill="%23fff" stroke="%23555" stroke-width="2"/><path d="M12 16l4-4H8z" fill="%23555"/></svg>',
-                        width: 24,
-                        height: 24,
-                        alt: 'down arrow'
-                    },
-                    'DOWN'
-                ],
-                [
-                    {
-                        src: 'data:image/svg+xml;utf8,<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24"><rect x="3" y="3" width="18" height="18" rx="4" fill="%23fff" stroke="%23555" stroke-width="2"/><path d="M14 12l-4 4V8z" fill="%23555"/></svg>',
-                        width: 24,
-                        height: 24,
-                        alt: 'right arrow'
-                    },
-                    'RIGHT'
-                ],
-                [
-                    {
-                        src: 'data:image/svg+xml;utf8,<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24"><rect x="3" y="3" width="18" height="18" rx="4" fill="%23fff" stroke="%23555" stroke-width="2"/><path d="M10 12l4-4v8z" fill="%23555"/></svg>',
-                        width: 24,
-                        height: 24,
-                        alt: 'left arrow'
-                    },
-                    'LEFT'
-                ]
-            ];
             this.appendDummyInput()
                 .appendField(new Blockly.FieldImage("https://codejredu.github.io/test/assets/blocklyicon/keyboard.svg", 35, 35, { alt: "keyboard icon", flipRtl: false }))
-                .appendField(new Blockly.FieldDropdown(keyOptions), "KEY")
+                .appendField(new FieldKey(), "KEY")
+                .appendField(new Blockly.FieldDropdown([
+                    [{ src: KEY_EVENT_ICONS['pressed'], width: 24, height: 24, alt: 'pressed' }, 'PRESSED'],
+                    [{ src: KEY_EVENT_ICONS['held'], width: 24, height: 24, alt: 'while held' }, 'HELD'],
+                ]), "MODE")
                 .appendField('\u00A0\u00A0\u00A0\u00A0\u00A0');
             this.setNextStatement(true, null);
             this.setColour("#FFC107");
-            this.setTooltip("Start the script when the selected key is pressed.");
+            this.setTooltip("Start the script when the selected key is pressed, or over and over while it is held down.");
             this.setHelpUrl("");
         }
     };
-    Blockly.JavaScript['event_when_key_pressed'] = function(block) { return ''; };
+
+    Blockly.Blocks['event_when_key_released'] = {
+        init: function() {
+            this.appendDummyInput()
+                .appendField(new Blockly.FieldImage("https://codejredu.github.io/test/assets/blocklyicon/keyboard.svg", 35, 35, { alt: "keyboard icon", flipRtl: false }))
+                .appendField(new FieldKey(), "KEY")
+                .appendField(new Blockly.FieldImage(KEY_EVENT_ICONS['released'], 24, 24, { alt: "released", flipRtl: false }))
+                .appendField('\u00A0\u00A0\u00A0\u00A0\u00A0');
+            this.setNextStatement(true, null);
+            this.setColour("#FFC107");
+            this.setTooltip("Start the script when the selected key is released.");
+        }
+    };
     
+    const EDGE_ICON = `data:image/svg+xml;utf8,<svg xmlns='http://www.w3.org/2000/svg' width='48' height='48' viewBox='0 0 48 48'><rect x='5' y='5' width='38' height='38' rx='4' fill='white' stroke='%234CBFE6' stroke-width='4' stroke-dasharray='8 4'/></svg>`;
+    const MYSELF_ICON = `data:image/svg+xml;utf8,<svg xmlns='http://www.w3.org/2000/svg' width='48' height='48' viewBox='0 0 48 48'><circle cx='24' cy='16' r='9' fill='%23FF6B1A'/><path d='M8 44c0-9 7-16 16-16s16 7 16 16z' fill='%23FF6B1A'/></svg>`;
+
     // Custom field for sprite selection
     class FieldSprite extends Blockly.FieldDropdown {
-        constructor() {
-            super(FieldSprite.generateOptions);
-        }
-
-        static generateOptions() {
+        /**
+         * @param {{includeEdge: (boolean|undefined), includeMyself: (boolean|undefined)}=} options
+         *     Set includeEdge to also offer the stage edge as a target, and
+         *     includeMyself to offer the sprite itself instead of "any sprite".
+         */
+        constructor(options = {}) {
+            const includeEdge = !!options.includeEdge;
+            const includeMyself = !!options.includeMyself;
+            super(() => FieldSprite.generateOptions(includeEdge, includeMyself));
+        }
+
+        static generateOptions(includeEdge = false, includeMyself = false) {
             const spriteIds = Object.keys(sprites);
             const activeSprite = getActiveSprite();
             
@@ -1394,15 +1642,6 @@ document.addEventListener('DOMContentLoaded', () => {
                 ? spriteIds.filter(id => id !== activeSprite.id).map(id => sprites[id])
                 : [];
 
-            if (otherSprites.length === 0) {
-                return [[{
-                    src: '', // Intentionally blank to show an empty field
-                    width: 48,
-                    height: 48,
-                    alt: 'No other sprites',
-                }, 'NONE']];
-            }
-
             const options = otherSprites.map(sprite => {
                 return [
                     {
@@ -1414,16 +1653,43 @@ document.addEventListener('DOMContentLoaded', () => {
                     sprite.id
                 ];
             });
-            
-            options.unshift([
-                 {
-                    src: 'https://codejredu.github.io/test/assets/blocklyicon/allman.svg',
+
+            if (includeMyself) {
+                options.unshift([{
+                    src: MYSELF_ICON,
+                    width: 48,
+                    height: 48,
+                    alt: 'Myself',
+                }, 'MYSELF']);
+            } else if (options.length > 0) {
+                options.unshift([
+                     {
+                        src: 'https://codejredu.github.io/test/assets/blocklyicon/allman.svg',
+                        width: 48,
+                        height: 48,
+                        alt: 'Any Sprite',
+                     },
+                    'ANY'
+                ]);
+            }
+
+            if (includeEdge) {
+                options.push([{
+                    src: EDGE_ICON,
+                    width: 48,
+                    height: 48,
+                    alt: 'Edge',
+                }, 'EDGE']);
+            }
+
+            if (options.length === 0) {
+                return [[{
+                    src: '', // Intentionally blank to show an empty field
                     width: 48,
                     height: 48,
-                    alt: 'Any Sprite',
-                 },
-                'ANY'
-            ]);
+                    alt: 'No other sprites',
+                }, 'NONE']];
+            }
 
             return options;
         }
@@ -1447,8 +1713,18 @@ document.addEventListener('DOMContentLoaded', () => {
             super.showEditor_(...arguments);
         }
 
+        // Scripts of other sprites are loaded while a different sprite is active,
+        // and the active sprite is never one of its own options, so accept any id.
+        doClassValidation_(newValue) {
+            return typeof newValue === 'string' ? newValue : null;
+        }
+
         doValueUpdate_(newValue) {
             super.doValueUpdate_(newValue);
+            const sprite = sprites[newValue];
+            if (sprite) {
+                this.selectedOption_ = [{ src: sprite.imageUrl, width: 48, height: 48, alt: sprite.name }, newValue];
+            }
             this.updateImageView_();
         }
 
@@ -1458,7 +1734,7 @@ document.addEventListener('DOMContentLoaded', () => {
             }
 
             const options = this.getOptions(false);
-            const selectedOption = options.find(opt => opt[1] === this.value_);
+            const selectedOption = options.find(opt => opt[1] === this.value_) || this.selectedOption_;
 
             if (selectedOption && typeof selectedOption[0] === 'object' && selectedOption[0].src) {
                 this.imageElement_.setAttributeNS('http://www.w3.org/1999/xlink', 'xlink:href', selectedOption[0].src);
@@ -1476,6 +1752,39 @@ document.addEventListener('DOMContentLoaded', () => {
     }
     Blockly.fieldRegistry.register('field_sprite', FieldSprite);
 
+    const STAGE_GESTURE_ICONS = {
+        'tap': `data:image/svg+xml;utf8,<svg xmlns='http://www.w3.org/2000/svg' width='24' height='24' viewBox='0 0 24 24' fill='none' stroke='white' stroke-width='2.5' stroke-linecap='round' stroke-linejoin='round'><path d='M9 11V5a2 2 0 0 1 4 0v6'/><path d='M13 10a2 2 0 0 1 4 0v2a7 7 0 0 1-7 7 5 5 0 0 1-4.5-2.8L4 13a1.8 1.8 0 0 1 3-1.8l2 2.3'/></svg>`,
+        'swipe': `data:image/svg+xml;utf8,<svg xmlns='http://www.w3.org/2000/svg' width='24' height='24' viewBox='0 0 24 24' fill='none' stroke='white' stroke-width='2.5' stroke-linecap='round' stroke-linejoin='round'><path d='M9 13V7a2 2 0 0 1 4 0v6'/><path d='M13 12a2 2 0 0 1 4 0v2a7 7 0 0 1-7 7 5 5 0 0 1-4.5-2.8L4 15a1.8 1.8 0 0 1 3-1.8l2 2.3'/><path d='M3 4h9'/><path d='m9 1 3 3-3 3'/></svg>`,
+        'LEFT': `data:image/svg+xml;utf8,<svg xmlns='http://www.w3.org/2000/svg' width='24' height='24' viewBox='0 0 24 24' fill='none' stroke='white' stroke-width='2.5' stroke-linecap='round' stroke-linejoin='round'><path d='M20 12H4'/><path d='m10 6-6 6 6 6'/></svg>`,
+        'RIGHT': `data:image/svg+xml;utf8,<svg xmlns='http://www.w3.org/2000/svg' width='24' height='24' viewBox='0 0 24 24' fill='none' stroke='white' stroke-width='2.5' stroke-linecap='round' stroke-linejoin='round'><path d='M4 12h16'/><path d='m14 6 6 6-6 6'/></svg>`,
+        'UP': `data:image/svg+xml;utf8,<svg xmlns='http://www.w3.org/2000/svg' width='24' height='24' viewBox='0 0 24 24' fill='none' stroke='white' stroke-width='2.5' stroke-linecap='round' stroke-linejoin='round'><path d='M12 20V4'/><path d='m6 10 6-6 6 6'/></svg>`,
+        'DOWN': `data:image/svg+xml;utf8,<svg xmlns='http://www.w3.org/2000/svg' width='24' height='24' viewBox='0 0 24 24' fill='none' stroke='white' stroke-width='2.5' stroke-linecap='round' stroke-linejoin='round'><path d='M12 4v16'/><path d='m6 14 6 6 6-6'/></svg>`,
+    };
+
+    Blockly.Blocks['event_when_stage_tapped'] = {
+        init: function() {
+            this.appendDummyInput()
+                .appendField(new Blockly.FieldImage(STAGE_GESTURE_ICONS['tap'], 35, 35, { alt: "when stage tapped", flipRtl: false }))
+                .appendField('\u00A0\u00A0\u00A0\u00A0\u00A0');
+            this.setNextStatement(true, null);
+            this.setColour("#FFC107");
+            this.setTooltip("Start the script when the stage is tapped or clicked away from the sprites.");
+        }
+    };
+
+    Blockly.Blocks['event_when_stage_swiped'] = {
+        init: function() {
+            this.appendDummyInput()
+                .appendField(new Blockly.FieldImage(STAGE_GESTURE_ICONS['swipe'], 35, 35, { alt: "when stage swiped", flipRtl: false }))
+                .appendField(new Blockly.FieldDropdown(['LEFT', 'RIGHT', 'UP', 'DOWN'].map(direction =>
+                    [{ src: STAGE_GESTURE_ICONS[direction], width: 24, height: 24, alt: direction.toLowerCase() }, direction])), "DIRECTION")
+                .appendField('\u00A0\u00A0\u00A0\u00A0\u00A0');
+            this.setNextStatement(true, null);
+            this.setColour("#FFC107");
+            this.setTooltip("Start the script when a finger or the mouse swipes across the stage in the selected direction.");
+        }
+    };
+
     Blockly.Blocks['event_when_bump'] = {
         init: function() {
             this.appendDummyInput()
@@ -1487,8 +1796,22 @@ document.addEventListener('DOMContentLoaded', () => {
             this.setTooltip("Start the script when this sprite touches the selected sprite.");
         }
     };
-    Blockly.JavaScript['event_when_bump'] = function(block) { return ''; };
 
+    const EDGE_ICONS = {
+        'touching': `data:image/svg+xml;utf8,<svg xmlns='http://www.w3.org/2000/svg' width='24' height='24' viewBox='0 0 24 24' fill='none' stroke='white' stroke-width='2.5' stroke-linecap='round' stroke-linejoin='round'><path d='M21 3v18'/><circle cx='11' cy='12' r='5'/><path d='M18 6l-1.5 1.5'/><path d='M18 18l-1.5-1.5'/></svg>`,
+        'bounce': `data:image/svg+xml;utf8,<svg xmlns='http://www.w3.org/2000/svg' width='24' height='24' viewBox='0 0 24 24' fill='none' stroke='white' stroke-width='2.5' stroke-linecap='round' stroke-linejoin='round'><path d='M21 3v18'/><path d='M3 5l15 7-15 7'/><path d='M3 19h5'/><path d='M3 19l2-4.5'/></svg>`,
+    };
+
+    Blockly.Blocks['event_when_touching_edge'] = {
+        init: function() {
+            this.appendDummyInput()
+                .appendField(new Blockly.FieldImage(EDGE_ICONS['touching'], 35, 35, { alt: "when touching edge", flipRtl: false }))
+                .appendField('\u00A0\u00A0\u00A0\u00A0\u00A0');
+            this.setNextStatement(true, null);
+            this.setColour("#FFC107");
+            this.setTooltip("Start the script when this sprite reaches an edge of the stage.");
+        }
+    };
 
     Blockly.Blocks['event_broadcast'] = {
         init: function() {
@@ -1496,24 +1819,29 @@ document.addEventListener('DOMContentLoaded', () => {
                 .appendField(new Blockly.FieldImage("https://codejredu.github.io/test/assets/blocklyicon/send.svg", 35, 35, "*"))
                 .appendField(new FieldMessage(), 'MESSAGE')
                 .appendField('\u00A0\u00A0\u00A0\u00A0\u00A0');
+            this.appendValueInput("PAYLOAD");
+            this.setInputsInline(true);
             this.setPreviousStatement(true, null);
             this.setNextStatement(true, null);
             this.setColour("#FFC107");
-            this.setTooltip("Sends a message to all sprites.");
+            this.setTooltip("Sends a message to all sprites. A number or text put in the hole goes with it.");
         }
     };
 
-    Blockly.JavaScript['event_broadcast'] = function(block) {
-        const message = block.getFieldValue('MESSAGE');
-        // Sanitize the block ID and add a random suffix to ensure the variable is unique
-        // across different script executions, preventing global scope conflicts.
-        const uniqueSuffix = Math.random().toString(36).substring(2, 9);
-        const eventVar = `event_${block.id.replace(/[^a-zA-Z0-9]/g, '_')}_${uniqueSuffix}`;
-        return `
-            log('Broadcasting message: ${message}');
-            const ${eventVar} = new CustomEvent('kidi-broadcast', { detail: { message: '${message}' } });
-            window.dispatchEvent(${eventVar});
-        `;
+    Blockly.Blocks['event_broadcast_and_wait'] = {
+        init: function() {
+            this.appendDummyInput()
+                .appendField(new Blockly.FieldImage("https://codejredu.github.io/test/assets/blocklyicon/send.svg", 35, 35, "*"))
+                .appendField(new FieldMessage(), 'MESSAGE')
+                .appendField('\u00A0\u00A0\u00A0\u00A0\u00A0')
+                .appendField(new Blockly.FieldImage("https://codejredu.github.io/test/assets/blocklyicon/wait.svg", 24, 24, "and wait"));
+            this.appendValueInput("PAYLOAD");
+            this.setInputsInline(true);
+            this.setPreviousStatement(true, null);
+            this.setNextStatement(true, null);
+            this.setColour("#FFC107");
+            this.setTooltip("Sends a message to all sprites and waits until the scripts it started have finished.");
+        }
     };
 
     Blockly.Blocks['event_when_broadcast_received'] = {
@@ -1527,9 +1855,47 @@ document.addEventListener('DOMContentLoaded', () => {
             this.setTooltip("Starts a script when a specific message is received.");
         }
     };
-    Blockly.JavaScript['event_when_broadcast_received'] = function(block) { return ''; };
 
-    Blockly.Blocks['motion_move_steps'] = {
+    Blockly.Blocks['event_tell_sprite'] = {
+        init: function() {
+            this.appendDummyInput()
+                .appendField(new Blockly.FieldImage("https://codejredu.github.io/test/assets/blocklyicon/send.svg", 35, 35, "tell"))
+                .appendField(new FieldSprite({ includeMyself: true }), 'TARGET_SPRITE')
+                .appendField(new FieldMessage(), 'MESSAGE')
+                .appendField('\u00A0\u00A0\u00A0\u00A0\u00A0');
+            this.appendValueInput("PAYLOAD");
+            this.setInputsInline(true);
+            this.setPreviousStatement(true, null);
+            this.setNextStatement(true, null);
+            this.setColour("#FFC107");
+            this.setTooltip("Sends a message to the selected sprite only.");
+        }
+    };
+
+    Blockly.Blocks['event_when_told'] = {
+        init: function() {
+            this.appendDummyInput()
+                .appendField(new Blockly.FieldImage("https://codejredu.github.io/test/assets/blocklyicon/receive.svg", 35, 35, "when I am told"))
+                .appendField(new Blockly.FieldImage(MYSELF_ICON, 28, 28, "me"))
+                .appendField(new FieldMessage(), 'MESSAGE')
+                .appendField('\u00A0\u00A0\u00A0\u00A0\u00A0');
+            this.setNextStatement(true, null);
+            this.setColour("#FFC107");
+            this.setTooltip("Starts a script when another sprite tells this sprite the message.");
+        }
+    };
+
+    Blockly.Blocks['event_received_value'] = {
+        init: function() {
+            this.appendDummyInput()
+                .appendField(new Blockly.FieldImage("https://codejredu.github.io/test/assets/blocklyicon/receive.svg", 28, 28, "received value"));
+            this.setOutput(true, null);
+            this.setColour("#FFC107");
+            this.setTooltip("The number or text sent with the message that started this script.");
+        }
+    };
+
+    Blockly.Blocks['motion_move_steps'] = {
         init: function() {
             this.appendValueInput("STEPS").setCheck("Number")
                 .appendField(new Blockly.FieldImage("https://codejredu.github.io/test/assets/blocklyicon/walk.svg", 34, 34, "*"))
@@ -1541,70 +1907,6 @@ document.addEventListener('DOMContentLoaded', () => {
             this.setTooltip("Move the sprite in the direction it is facing.");
         }
     };
-    Blockly.JavaScript['motion_move_steps'] = function(block) {
-        const steps = Blockly.JavaScript.valueToCode(block, 'STEPS', Blockly.JavaScript.ORDER_ATOMIC) || '10';
-        return `
-            if (sprite) {
-                const halfWidth = ${STAGE_WIDTH / 2};
-                const halfHeight = ${STAGE_HEIGHT / 2};
-                const fullWidth = ${STAGE_WIDTH};
-                const fullHeight = ${STAGE_HEIGHT};
-    
-                const wrapPosition = () => {
-                    // Wrap X coordinate
-                    if (sprite.x > halfWidth || sprite.x < -halfWidth) {
-                        sprite.x = ((((sprite.x + halfWidth) % fullWidth) + fullWidth) % fullWidth) - halfWidth;
-                    }
-                    // Wrap Y coordinate
-                    if (sprite.y > halfHeight || sprite.y < -halfHeight) {
-                         sprite.y = ((((sprite.y + halfHeight) % fullHeight) + fullHeight) % fullHeight) - halfHeight;
-                    }
-                };
-    
-                const moveSpeed = sprite.speed || 'instant';
-                if (moveSpeed === 'instant') {
-                    const distance = Number(${steps});
-                    const radians = sprite.direction * Math.PI / 180;
-                    sprite.x += distance * Math.sin(radians);
-                    sprite.y += distance * Math.cos(radians);
-                    wrapPosition();
-                    window.refreshSprite(sprite);
-                    yield;
-                } else {
-                    const distance = Number(${steps});
-                    if (distance !== 0) {
-                        const speedMap = { slow: 60, normal: 180, fast: 360 }; // pixels per second
-                        const pixelsPerSecond = speedMap[moveSpeed] || 180;
-                        
-                        const distanceToMove = Math.abs(distance);
-                        let distanceMoved = 0;
-                        const radians = sprite.direction * Math.PI / 180;
-                        const sign = distance > 0 ? 1 : -1;
-    
-                        while (distanceMoved < distanceToMove) {
-                            if (getExecutionCancelled()) break;
-                            
-                            const frameMoveAmount = (pixelsPerSecond * window.frameDeltaTime / 1000);
-                            const remainingDistance = distanceToMove - distanceMoved;
-                            const finalMoveAmount = Math.min(frameMoveAmount, remainingDistance) * sign;
-    
-                            sprite.x += finalMoveAmount * Math.sin(radians);
-                            sprite.y += finalMoveAmount * Math.cos(radians);
-                            
-                            wrapPosition();
-                            
-                            distanceMoved += Math.abs(finalMoveAmount);
-                            
-                            window.refreshSprite(sprite);
-                            yield;
-                        }
-                    } else {
-                        yield;
-                    }
-                }
-            }
-        `;
-    };
     Blockly.Blocks['motion_turn_right_degrees'] = {
         init: function() {
             this.appendValueInput("DEGREES").setCheck("Number")
@@ -1617,17 +1919,6 @@ document.addEventListener('DOMContentLoaded', () => {
             this.setTooltip("Turn the sprite to the right.");
         }
     };
-    Blockly.JavaScript['motion_turn_right_degrees'] = function(block) {
-        const degrees = Blockly.JavaScript.valueToCode(block, 'DEGREES', Blockly.JavaScript.ORDER_ATOMIC) || '15';
-        return `
-            if (sprite) {
-                const rotationAmount = Number(${degrees});
-                sprite.direction += rotationAmount;
-                window.refreshSprite(sprite);
-            }
-            yield;
-        `;
-    };
     Blockly.Blocks['motion_turn_left_degrees'] = {
         init: function() {
             this.appendValueInput("DEGREES").setCheck("Number")
@@ -1640,17 +1931,6 @@ document.addEventListener('DOMContentLoaded', () => {
             this.setTooltip("Turn the sprite to the left.");
         }
     };
-    Blockly.JavaScript['motion_turn_left_degrees'] = function(block) {
-        const degrees = Blockly.JavaScript.valueToCode(block, 'DEGREES', Blockly.JavaScript.ORDER_ATOMIC) || '15';
-        return `
-            if (sprite) {
-                const rotationAmount = Number(${degrees});
-                sprite.direction -= rotationAmount;
-                window.refreshSprite(sprite);
-            }
-            yield;
-        `;
-    };
     
     Blockly.Blocks['motion_set_speed'] = {
         init: function() {
@@ -1670,16 +1950,6 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     };
 
-    Blockly.JavaScript['motion_set_speed'] = function(block) {
-        const speed = block.getFieldValue('SPEED');
-        return `
-            if (sprite) {
-                sprite.speed = '${speed}';
-                log(sprite.name + ' speed set to ${speed}.');
-            }
-            yield;
-        `;
-    };
     
     Blockly.Blocks['motion_set_direction'] = {
         init: function() {
@@ -1714,19 +1984,6 @@ document.addEventListener('DOMContentLoaded', () => {
             this.setTooltip("Set the direction and rotation style of the sprite.");
         }
     };
-    Blockly.JavaScript['motion_set_direction'] = function(block) {
-        const degrees = block.getFieldValue('DEGREES');
-        const rotationStyle = block.getFieldValue('ROTATION_STYLE');
-        return `
-            if (sprite) {
-                sprite.direction = Number(${degrees});
-                sprite.rotationStyle = '${rotationStyle}';
-                window.refreshSprite(sprite);
-                log(sprite.name + ' set direction to ' + sprite.direction + ' and rotation to ${rotationStyle}.');
-            }
-            yield;
-        `;
-    };
     
     Blockly.Blocks['looks_say_for_secs'] = {
         init: function() {
@@ -1740,36 +1997,6 @@ document.addEventListener('DOMContentLoaded', () => {
             this.setTooltip("Make the sprite say a message for a number of seconds.");
         }
     };
-    Blockly.JavaScript['looks_say_for_secs'] = function(block) {
-        const message = Blockly.JavaScript.valueToCode(block, 'MESSAGE', Blockly.JavaScript.ORDER_ATOMIC) || "''";
-        const secs = Blockly.JavaScript.valueToCode(block, 'SECS', Blockly.JavaScript.ORDER_ATOMIC) || '2';
-        // Sanitize the block ID and add a random suffix to ensure the variable is unique.
-        const uniqueSuffix = Math.random().toString(36).substring(2, 9);
-        const varName = `endTime_${block.id.replace(/[^a-zA-Z0-9]/g, '_')}_${uniqueSuffix}`;
-        return `
-            if (sprite) {
-                const spriteEl = document.getElementById(sprite.id);
-                if (spriteEl) {
-                    const bubble = spriteEl.querySelector('.speech-bubble');
-                    const rawMessage = ${message};
-                    const finalMessage = typeof rawMessage === 'number' ? Math.round(rawMessage) : rawMessage;
-                    bubble.textContent = finalMessage;
-                    bubble.classList.add('visible');
-                    log(sprite.name + ' says: ' + finalMessage);
-                    
-                    const ${varName} = Date.now() + (${secs}) * 1000;
-                    while (Date.now() < ${varName}) {
-                        if (getExecutionCancelled()) break;
-                        yield;
-                    }
-
-                    if (!getExecutionCancelled()) {
-                         bubble.classList.remove('visible');
-                    }
-                }
-            }
-        `;
-    };
     Blockly.Blocks['looks_say'] = {
         init: function() {
             this.appendValueInput("MESSAGE")
@@ -1781,22 +2008,6 @@ document.addEventListener('DOMContentLoaded', () => {
             this.setTooltip("Make the sprite say a message.");
         }
     };
-    Blockly.JavaScript['looks_say'] = function(block) {
-        const message = Blockly.JavaScript.valueToCode(block, 'MESSAGE', Blockly.JavaScript.ORDER_ATOMIC) || "''";
-        return `
-            if (sprite) {
-                const spriteEl = document.getElementById(sprite.id);
-                if (spriteEl) {
-                   const bubble = spriteEl.querySelector('.speech-bubble');
-                   const rawMessage = ${message};
-                   const finalMessage = typeof rawMessage === 'number' ? Math.round(rawMessage) : rawMessage;
-                   bubble.textContent = finalMessage;
-                   bubble.classList.add('visible');
-                   log(sprite.name + ' says: ' + finalMessage);
-                }
-            }
-        `;
-    };
     Blockly.Blocks['looks_show'] = {
         init: function() {
             this.appendDummyInput().appendField(new Blockly.FieldImage("https://codejredu.github.io/test/assets/blocklyicon/show.png", 34, 34, { alt: "show icon", flipRtl: false })).appendField('\u00A0\u00A0\u00A0\u00A0\u00A0\u00A0\u00A0\u00A0\u00A0\u00A0\u00A0\u00A0\u00A0\u00A0\u00A0\u00A0\u00A0\u00A0');
@@ -1806,16 +2017,6 @@ document.addEventListener('DOMContentLoaded', () => {
             this.setTooltip("Show the sprite.");
         }
     };
-    Blockly.JavaScript['looks_show'] = function(block) {
-        return `
-            if (sprite) {
-                sprite.opacity = 1;
-                window.refreshSprite(sprite);
-                log(sprite.name + ' shown.');
-            }
-            yield;
-        `;
-    };
     Blockly.Blocks['looks_hide'] = {
         init: function() {
             this.appendDummyInput().appendField(new Blockly.FieldImage("https://codejredu.github.io/test/assets/blocklyicon/hide.png", 34, 34, { alt: "hide icon", flipRtl: false })).appendField('\u00A0\u00A0\u00A0\u00A0\u00A0\u00A0\u00A0\u00A0\u00A0\u00A0\u00A0\u00A0\u00A0\u00A0\u00A0\u00A0\u00A0\u00A0');
@@ -1825,16 +2026,6 @@ document.addEventListener('DOMContentLoaded', () => {
             this.setTooltip("Hide the sprite.");
         }
     };
-    Blockly.JavaScript['looks_hide'] = function(block) {
-        return `
-            if (sprite) {
-                sprite.opacity = 0;
-                window.refreshSprite(sprite);
-                log(sprite.name + ' hidden.');
-            }
-            yield;
-        `;
-    };
 
     Blockly.Blocks['looks_grow'] = {
         init: function() {
@@ -1849,18 +2040,6 @@ document.addEventListener('DOMContentLoaded', () => {
             this.setTooltip("Increase the sprite's size.");
         }
     };
-    Blockly.JavaScript['looks_grow'] = function(block) {
-        const size = Blockly.JavaScript.valueToCode(block, 'SIZE', Blockly.JavaScript.ORDER_ATOMIC) || '10';
-        return `
-            if (sprite) {
-                const sizeChange = Number(${size});
-                sprite.size += sizeChange;
-                window.refreshSprite(sprite);
-                log(sprite.name + ' grew to size ' + sprite.size);
-            }
-            yield;
-        `;
-    };
     
     Blockly.Blocks['looks_shrink'] = {
         init: function() {
@@ -1875,18 +2054,6 @@ document.addEventListener('DOMContentLoaded', () => {
             this.setTooltip("Decrease the sprite's size.");
         }
     };
-    Blockly.JavaScript['looks_shrink'] = function(block) {
-        const size = Blockly.JavaScript.valueToCode(block, 'SIZE', Blockly.JavaScript.ORDER_ATOMIC) || '10';
-        return `
-            if (sprite) {
-                const sizeChange = Number(${size});
-                sprite.size = Math.max(5, sprite.size - sizeChange); // Don't let size go below 5
-                window.refreshSprite(sprite);
-                log(sprite.name + ' shrunk to size ' + sprite.size);
-            }
-            yield;
-        `;
-    };
 
     Blockly.Blocks['looks_set_size'] = {
         init: function() {
@@ -1901,17 +2068,6 @@ document.addEventListener('DOMContentLoaded', () => {
             this.setTooltip("Sets the sprite's size as a percentage.");
         }
     };
-    Blockly.JavaScript['looks_set_size'] = function(block) {
-        const size = Blockly.JavaScript.valueToCode(block, 'SIZE', Blockly.JavaScript.ORDER_ATOMIC) || '100';
-        return `
-            if (sprite) {
-                sprite.size = Math.max(5, Number(${size})); // Don't let size go below 5
-                window.refreshSprite(sprite);
-                log(sprite.name + ' set size to ' + sprite.size);
-            }
-            yield;
-        `;
-    };
 
     // Custom field for backdrop selection
     class FieldBackdrop extends Blockly.FieldDropdown {
@@ -2006,20 +2162,6 @@ document.addEventListener('DOMContentLoaded', () => {
             this.setTooltip("Changes the stage's backdrop.");
         }
     };
-     Blockly.JavaScript['looks_switch_backdrop'] = function(block) {
-        const backdropUrl = block.getFieldValue('BACKDROP');
-        if (backdropUrl === '__NEXT__') {
-            return `window.switchToNextBackdrop(); yield;`;
-        }
-        if (backdropUrl === '__RANDOM__') {
-            return `window.switchToRandomBackdrop(); yield;`;
-        }
-        if (backdropUrl && backdropUrl !== 'NONE') {
-            const safeUrl = backdropUrl.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/"/g, '\\"');
-            return `window.switchBackdrop('${safeUrl}'); yield;`;
-        }
-        return '';
-    };
 
     Blockly.Blocks['looks_change_layer'] = {
         init: function() {
@@ -2039,10 +2181,6 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     };
 
-    Blockly.JavaScript['looks_change_layer'] = function(block) {
-        const action = block.getFieldValue('ACTION');
-        return `window.changeSpriteLayer(sprite, '${action}'); yield;`;
-    };
     
     Blockly.Blocks['scrolling_backdrop_scroll'] = {
         init: function() {
@@ -2078,17 +2216,6 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     };
 
-    Blockly.JavaScript['scrolling_backdrop_scroll'] = function(block) {
-        const direction = block.getFieldValue('DIRECTION');
-        const speed = Blockly.JavaScript.valueToCode(block, 'SPEED', Blockly.JavaScript.ORDER_ATOMIC) || '10';
-        return `
-            if (backdropScroller) {
-                backdropScroller.scroll('${direction}', ${speed});
-            }
-            yield;
-        `;
-    };
-
     Blockly.Blocks['scrolling_backdrop_stop'] = {
         init: function() {
             this.appendDummyInput()
@@ -2103,15 +2230,6 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     };
 
-    Blockly.JavaScript['scrolling_backdrop_stop'] = function(block) {
-        return `
-            if (backdropScroller) {
-                backdropScroller.stop();
-            }
-            yield;
-        `;
-    };
-
     Blockly.Blocks['control_wait_secs'] = {
         init: function() {
             this.appendValueInput("SECS").setCheck("Number").appendField(new Blockly.FieldImage("https://codejredu.github.io/test/assets/blocklyicon/wait.svg", 34, 34, "*"));
@@ -2122,20 +2240,6 @@ document.addEventListener('DOMContentLoaded', () => {
             this.setTooltip("Wait for a number of seconds.");
         }
     };
-    Blockly.JavaScript['control_wait_secs'] = function(block) {
-        const secs = Blockly.JavaScript.valueToCode(block, 'SECS', Blockly.JavaScript.ORDER_ATOMIC) || '1';
-        // Sanitize the block ID and add a random suffix to ensure the variable is unique.
-        const uniqueSuffix = Math.random().toString(36).substring(2, 9);
-        const varName = `endTime_${block.id.replace(/[^a-zA-Z0-9]/g, '_')}_${uniqueSuffix}`;
-        return `
-            log('Waiting for ' + (${secs}) + ' seconds...');
-            const ${varName} = Date.now() + (${secs}) * 1000;
-            while (Date.now() < ${varName}) {
-                if (getExecutionCancelled()) break;
-                yield;
-            }
-        `;
-    };
 
     Blockly.Blocks['control_repeat_times'] = {
         init: function() {
@@ -2152,18 +2256,6 @@ document.addEventListener('DOMContentLoaded', () => {
             this.setTooltip("Repeat the blocks inside a number of times.");
         }
     };
-    Blockly.JavaScript['control_repeat_times'] = function(block) {
-        const times = Blockly.JavaScript.valueToCode(block, 'TIMES', Blockly.JavaScript.ORDER_ATOMIC) || '10';
-        const branch = Blockly.JavaScript.statementToCode(block, 'DO');
-        return `
-            for (let i = 0; i < (${times}); i++) {
-                if (getExecutionCancelled()) break;
-                log('Repetition number: ' + (i + 1));
-                ${branch}
-                if (getExecutionCancelled()) break;
-            }
-        `;
-    };
 
     Blockly.Blocks['control_forever'] = {
         init: function() {
@@ -2176,14 +2268,156 @@ document.addEventListener('DOMContentLoaded', () => {
             this.setTooltip("Repeat the blocks inside forever.");
         }
     };
-    Blockly.JavaScript['control_forever'] = function(block) {
-        const branch = Blockly.JavaScript.statementToCode(block, 'DO');
-        return `
-            while(!getExecutionCancelled()) {
-                ${branch}
-                yield;
+
+    // --- Conditional Control Blocks ---
+    const CONDITION_ICONS = {
+        'if': `data:image/svg+xml;utf8,<svg xmlns='http://www.w3.org/2000/svg' width='24' height='24' viewBox='0 0 24 24' fill='none' stroke='white' stroke-width='2.5' stroke-linecap='round' stroke-linejoin='round'><path d='M12 2l10 10-10 10L2 12z'/><path d='M9.5 9.5a2.5 2.5 0 1 1 3.5 2.3c-.6.3-1 .8-1 1.5v.2'/><path d='M12 17h.01'/></svg>`,
+        'else': `data:image/svg+xml;utf8,<svg xmlns='http://www.w3.org/2000/svg' width='24' height='24' viewBox='0 0 24 24' fill='none' stroke='white' stroke-width='2.5' stroke-linecap='round' stroke-linejoin='round'><path d='M4 4v6a4 4 0 0 0 4 4h12'/><path d='m16 10 4 4-4 4'/></svg>`,
+        'until': `data:image/svg+xml;utf8,<svg xmlns='http://www.w3.org/2000/svg' width='24' height='24' viewBox='0 0 24 24' fill='none' stroke='white' stroke-width='2.5' stroke-linecap='round' stroke-linejoin='round'><path d='M5 21V4'/><path d='M5 4h12l-3 4 3 4H5'/></svg>`,
+    };
+
+    Blockly.Blocks['control_if'] = {
+        init: function() {
+            this.appendValueInput("CONDITION")
+                .setCheck("Boolean")
+                .appendField(new Blockly.FieldImage(CONDITION_ICONS['if'], 28, 28, { alt: "if", flipRtl: false }));
+            this.appendStatementInput("DO").setCheck(null);
+            this.setInputsInline(true);
+            this.setPreviousStatement(true, null);
+            this.setNextStatement(true, null);
+            this.setColour("#FF6B1A");
+            this.setTooltip("If the condition is true, run the blocks inside.");
+        }
+    };
+
+    Blockly.Blocks['control_if_else'] = {
+        init: function() {
+            this.appendValueInput("CONDITION")
+                .setCheck("Boolean")
+                .appendField(new Blockly.FieldImage(CONDITION_ICONS['if'], 28, 28, { alt: "if", flipRtl: false }));
+            this.appendStatementInput("DO").setCheck(null);
+            this.appendDummyInput()
+                .appendField(new Blockly.FieldImage(CONDITION_ICONS['else'], 28, 28, { alt: "else", flipRtl: false }));
+            this.appendStatementInput("ELSE").setCheck(null);
+            this.setInputsInline(true);
+            this.setPreviousStatement(true, null);
+            this.setNextStatement(true, null);
+            this.setColour("#FF6B1A");
+            this.setTooltip("If the condition is true, run the first blocks. Otherwise, run the second blocks.");
+        }
+    };
+
+    Blockly.Blocks['control_wait_until'] = {
+        init: function() {
+            this.appendValueInput("CONDITION")
+                .setCheck("Boolean")
+                .appendField(new Blockly.FieldImage("https://codejredu.github.io/test/assets/blocklyicon/wait.svg", 34, 34, "*"))
+                .appendField(new Blockly.FieldImage(CONDITION_ICONS['until'], 24, 24, { alt: "until", flipRtl: false }));
+            this.setInputsInline(true);
+            this.setPreviousStatement(true, null);
+            this.setNextStatement(true, null);
+            this.setColour("#FF6B1A");
+            this.setTooltip("Wait until the condition is true.");
+        }
+    };
+
+    Blockly.Blocks['control_repeat_until'] = {
+        init: function() {
+            this.appendValueInput("CONDITION")
+                .setCheck("Boolean")
+                .appendField('\u00A0\u00A0\u00A0\u00A0')
+                .appendField(new Blockly.FieldImage("https://codejredu.github.io/test/assets/blocklyicon/repeat.svg", 24, 24, "*"))
+                .appendField(new Blockly.FieldImage(CONDITION_ICONS['until'], 24, 24, { alt: "until", flipRtl: false }));
+            this.appendStatementInput("DO").setCheck(null);
+            this.setInputsInline(true);
+            this.setPreviousStatement(true, null);
+            this.setNextStatement(true, null);
+            this.setColour("#FF6B1A");
+            this.setTooltip("Repeat the blocks inside until the condition is true.");
+        }
+    };
+
+    // --- Clone Blocks ---
+    const CLONE_ICONS = {
+        'clone': `data:image/svg+xml;utf8,<svg xmlns='http://www.w3.org/2000/svg' width='24' height='24' viewBox='0 0 24 24' fill='none' stroke='white' stroke-width='2.5' stroke-linecap='round' stroke-linejoin='round'><rect x='8' y='8' width='13' height='13' rx='2'/><path d='M4 16V5a1 1 0 0 1 1-1h11'/><path d='M14.5 12v6M11.5 15h6'/></svg>`,
+        'delete': `data:image/svg+xml;utf8,<svg xmlns='http://www.w3.org/2000/svg' width='24' height='24' viewBox='0 0 24 24' fill='none' stroke='white' stroke-width='2.5' stroke-linecap='round' stroke-linejoin='round'><rect x='8' y='8' width='13' height='13' rx='2'/><path d='M4 16V5a1 1 0 0 1 1-1h11'/><path d='M12 12l5 5M17 12l-5 5'/></svg>`,
+    };
+
+    Blockly.Blocks['control_create_clone_of'] = {
+        init: function() {
+            this.appendDummyInput()
+                .appendField(new Blockly.FieldImage(CLONE_ICONS['clone'], 32, 32, { alt: "create clone of", flipRtl: false }))
+                .appendField(new FieldSprite({ includeMyself: true }), 'TARGET_SPRITE');
+            this.setPreviousStatement(true, null);
+            this.setNextStatement(true, null);
+            this.setColour("#FF6B1A");
+            this.setTooltip("Creates a temporary copy of the selected sprite.");
+        }
+    };
+
+    Blockly.Blocks['control_start_as_clone'] = {
+        init: function() {
+            this.appendDummyInput()
+                .appendField(new Blockly.FieldImage("https://codejredu.github.io/test/assets/blocklyicon/flag.svg", 35, 35, { alt: "start", flipRtl: false }))
+                .appendField(new Blockly.FieldImage(CLONE_ICONS['clone'], 32, 32, { alt: "as a clone", flipRtl: false }))
+                .appendField('\u00A0\u00A0\u00A0\u00A0\u00A0');
+            this.setNextStatement(true, null);
+            this.setColour("#FF6B1A");
+            this.setTooltip("Start the script when this sprite starts as a clone.");
+        }
+    };
+
+    Blockly.Blocks['control_delete_this_clone'] = {
+        init: function() {
+            this.appendDummyInput()
+                .appendField(new Blockly.FieldImage(CLONE_ICONS['delete'], 32, 32, { alt: "delete this clone", flipRtl: false }))
+                .appendField('\u00A0\u00A0\u00A0\u00A0');
+            this.setPreviousStatement(true, null);
+            this.setColour("#FF6B1A");
+            this.setTooltip("Deletes this clone. Does nothing on the original sprite.");
+        }
+    };
+
+    const STOP_ICONS = {
+        'stop': `data:image/svg+xml;utf8,<svg xmlns='http://www.w3.org/2000/svg' width='24' height='24' viewBox='0 0 24 24' fill='none' stroke='white' stroke-width='2.5' stroke-linecap='round' stroke-linejoin='round'><path d='M7.86 2h8.28L22 7.86v8.28L16.14 22H7.86L2 16.14V7.86z'/><path d='M8 12h8'/></svg>`,
+        'all': `data:image/svg+xml;utf8,<svg xmlns='http://www.w3.org/2000/svg' width='24' height='24' viewBox='0 0 24 24' fill='white' stroke='white' stroke-width='2' stroke-linejoin='round'><path d='M7.86 2h8.28L22 7.86v8.28L16.14 22H7.86L2 16.14V7.86z'/></svg>`,
+        'this': `data:image/svg+xml;utf8,<svg xmlns='http://www.w3.org/2000/svg' width='24' height='24' viewBox='0 0 24 24' fill='none' stroke='white' stroke-width='2.5' stroke-linecap='round' stroke-linejoin='round'><path d='M12 3v12'/><path d='m8 11 4 4 4-4'/><path d='M6 20h12'/></svg>`,
+        'others': `data:image/svg+xml;utf8,<svg xmlns='http://www.w3.org/2000/svg' width='24' height='24' viewBox='0 0 24 24' fill='none' stroke='white' stroke-width='2.5' stroke-linecap='round' stroke-linejoin='round'><path d='M3 6h9M3 12h9M3 18h9'/><path d='m16 9 5 6M21 9l-5 6'/></svg>`,
+    };
+
+    // "Stop other scripts" lets the script go on, so only that option has a next connection.
+    Blockly.Blocks['control_stop'] = {
+        init: function() {
+            this.appendDummyInput()
+                .appendField(new Blockly.FieldImage(STOP_ICONS['stop'], 32, 32, { alt: "stop", flipRtl: false }))
+                .appendField(new Blockly.FieldDropdown([
+                    [{ src: STOP_ICONS['all'], width: 24, height: 24, alt: 'all' }, 'ALL'],
+                    [{ src: STOP_ICONS['this'], width: 24, height: 24, alt: 'this script' }, 'THIS_SCRIPT'],
+                    [{ src: STOP_ICONS['others'], width: 24, height: 24, alt: 'other scripts in this sprite' }, 'OTHER_SCRIPTS']
+                ], (option) => {
+                    this.updateShape_(option === 'OTHER_SCRIPTS');
+                    return option;
+                }), "STOP_OPTION")
+                .appendField('\u00A0\u00A0\u00A0\u00A0');
+            this.setPreviousStatement(true, null);
+            this.setColour("#FF6B1A");
+            this.setTooltip("Stops all scripts, this script, or the other scripts of this sprite.");
+        },
+        mutationToDom: function() {
+            const container = Blockly.utils.xml.createElement('mutation');
+            container.setAttribute('hasnext', String(!!this.nextConnection));
+            return container;
+        },
+        domToMutation: function(xmlElement) {
+            this.updateShape_(xmlElement.getAttribute('hasnext') === 'true');
+        },
+        updateShape_: function(hasNext) {
+            if (hasNext === !!this.nextConnection) return;
+            if (!hasNext && this.nextConnection.isConnected()) {
+                this.nextConnection.targetBlock().unplug();
             }
-        `;
+            this.setNextStatement(hasNext, null);
+        }
     };
 
     Blockly.Blocks['motion_go_to_xy'] = {
@@ -2199,35 +2433,6 @@ document.addEventListener('DOMContentLoaded', () => {
             this.setTooltip("Move the sprite to a specific location on the stage.");
         }
     };
-    Blockly.JavaScript['motion_go_to_xy'] = function(block) {
-        const x = Blockly.JavaScript.valueToCode(block, 'X', Blockly.JavaScript.ORDER_ATOMIC) || '0';
-        const y = Blockly.JavaScript.valueToCode(block, 'Y', Blockly.JavaScript.ORDER_ATOMIC) || '0';
-        return `
-            if (sprite) {
-                let targetX = Number(${x});
-                let targetY = Number(${y});
-                const halfWidth = ${STAGE_WIDTH / 2};
-                const halfHeight = ${STAGE_HEIGHT / 2};
-                const fullWidth = ${STAGE_WIDTH};
-                const fullHeight = ${STAGE_HEIGHT};
-    
-                // Wrap X coordinate if it's outside the bounds
-                if (targetX > halfWidth || targetX < -halfWidth) {
-                    targetX = ((((targetX + halfWidth) % fullWidth) + fullWidth) % fullWidth) - halfWidth;
-                }
-                // Wrap Y coordinate if it's outside the bounds
-                if (targetY > halfHeight || targetY < -halfHeight) {
-                     targetY = ((((targetY + halfHeight) % fullHeight) + fullHeight) % fullHeight) - halfHeight;
-                }
-    
-                sprite.x = targetX;
-                sprite.y = targetY;
-                window.refreshSprite(sprite);
-                log(sprite.name + ' moved to: ' + sprite.x.toFixed(0) + ', ' + sprite.y.toFixed(0));
-            }
-            yield;
-        `;
-    };
     Blockly.Blocks['motion_glide_to_xy'] = {
         init: function() {
             this.appendDummyInput()
@@ -2248,42 +2453,6 @@ document.addEventListener('DOMContentLoaded', () => {
             this.setTooltip("Glide the sprite smoothly to a specific location.");
         }
     };
-    Blockly.JavaScript['motion_glide_to_xy'] = function(block) {
-        const secs = Blockly.JavaScript.valueToCode(block, 'SECS', Blockly.JavaScript.ORDER_ATOMIC) || '1';
-        const x = Blockly.JavaScript.valueToCode(block, 'X', Blockly.JavaScript.ORDER_ATOMIC) || '0';
-        const y = Blockly.JavaScript.valueToCode(block, 'Y', Blockly.JavaScript.ORDER_ATOMIC) || '0';
-        return `
-            if (sprite) {
-                const startX = sprite.x;
-                const startY = sprite.y;
-                const endX = (${x});
-                const endY = (${y});
-                const durationMs = Math.max(0, (${secs}) * 1000);
-                const startTime = Date.now();
-                let elapsedTime = 0;
-
-                while (elapsedTime < durationMs) {
-                    if (getExecutionCancelled()) break;
-                    
-                    elapsedTime = Date.now() - startTime;
-                    const progress = Math.min(1, elapsedTime / durationMs);
-                    
-                    sprite.x = startX + (endX - startX) * progress;
-                    sprite.y = startY + (endY - startY) * progress;
-                    
-                    window.refreshSprite(sprite);
-                    yield;
-                }
-                
-                if (!getExecutionCancelled()) {
-                    sprite.x = endX;
-                    sprite.y = endY;
-                    window.refreshSprite(sprite);
-                    log(sprite.name + ' finished gliding.');
-                }
-            }
-        `;
-    };
 
     Blockly.Blocks['motion_jump'] = {
         init: function() {
@@ -2299,50 +2468,16 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     };
 
-    Blockly.JavaScript['motion_jump'] = function(block) {
-        const height = Blockly.JavaScript.valueToCode(block, 'HEIGHT', Blockly.JavaScript.ORDER_ATOMIC) || '100';
-        return `
-            if (sprite && !sprite.isJumping) {
-                sprite.isJumping = true;
-                const startY = sprite.y; // Store original Y position BEFORE the try block
-                
-                try {
-                    const JUMP_HEIGHT = (${height});
-                    const DURATION_MS = 500;
-                    const startTime = Date.now();
-                    let elapsedTime = 0;
-                    log(sprite.name + ' starts jumping...');
-    
-                    while (elapsedTime < DURATION_MS) {
-                        if (getExecutionCancelled()) {
-                            break; 
-                        }
-                        
-                        elapsedTime = Date.now() - startTime;
-                        const progress = Math.min(1, elapsedTime / DURATION_MS);
-                        
-                        const parabolicProgress = -4 * JUMP_HEIGHT * progress * (progress - 1);
-                        sprite.y = startY + parabolicProgress;
-                        
-                        window.refreshSprite(sprite);
-                        yield;
-                    }
-                    
-                    if (!getExecutionCancelled()) {
-                        log(sprite.name + ' finished jumping.');
-                    }
-                } finally {
-                    // This ALWAYS runs, ensuring the sprite lands correctly and the state is reset.
-                    sprite.y = startY;
-                    sprite.isJumping = false;
-                    window.refreshSprite(sprite);
-                    log(sprite.name + ' jump state reset and landed.');
-                }
-            } else if (sprite) {
-                // If already jumping, just wait for the next tick.
-                yield;
-            }
-        `;
+    Blockly.Blocks['motion_if_on_edge_bounce'] = {
+        init: function() {
+            this.appendDummyInput()
+                .appendField(new Blockly.FieldImage(EDGE_ICONS['bounce'], 34, 34, { alt: "if on edge, bounce", flipRtl: false }))
+                .appendField('\u00A0\u00A0\u00A0\u00A0\u00A0');
+            this.setPreviousStatement(true, null);
+            this.setNextStatement(true, null);
+            this.setColour("#4C97FF");
+            this.setTooltip("If the sprite is touching an edge of the stage, turn it to bounce off, like a ball off a wall.");
+        }
     };
 
     Blockly.Blocks['motion_xcor'] = {
@@ -2356,10 +2491,6 @@ document.addEventListener('DOMContentLoaded', () => {
             this.setHelpUrl("");
         }
     };
-    Blockly.JavaScript['motion_xcor'] = function(block) {
-        const code = 'sprite ? Math.max(-240, Math.min(240, sprite.x)) : 0';
-        return [code, Blockly.JavaScript.ORDER_ATOMIC];
-    };
     
     Blockly.Blocks['motion_ycor'] = {
         init: function() {
@@ -2372,10 +2503,6 @@ document.addEventListener('DOMContentLoaded', () => {
             this.setHelpUrl("");
         }
     };
-    Blockly.JavaScript['motion_ycor'] = function(block) {
-        const code = 'sprite ? Math.max(-180, Math.min(180, sprite.y)) : 0';
-        return [code, Blockly.JavaScript.ORDER_ATOMIC];
-    };
 
     Blockly.Blocks['operator_add'] = {
         init: function() {
@@ -2388,12 +2515,6 @@ document.addEventListener('DOMContentLoaded', () => {
             this.setInputsInline(true);
         }
     };
-    Blockly.JavaScript['operator_add'] = function(block) {
-        const a = Blockly.JavaScript.valueToCode(block, 'A', Blockly.JavaScript.ORDER_ADDITION) || '0';
-        const b = Blockly.JavaScript.valueToCode(block, 'B', Blockly.JavaScript.ORDER_ADDITION) || '0';
-        const code = `(Number(${a}) + Number(${b}))`;
-        return [code, Blockly.JavaScript.ORDER_ADDITION];
-    };
 
     Blockly.Blocks['operator_subtract'] = {
         init: function() {
@@ -2406,12 +2527,6 @@ document.addEventListener('DOMContentLoaded', () => {
             this.setInputsInline(true);
         }
     };
-    Blockly.JavaScript['operator_subtract'] = function(block) {
-        const a = Blockly.JavaScript.valueToCode(block, 'A', Blockly.JavaScript.ORDER_SUBTRACTION) || '0';
-        const b = Blockly.JavaScript.valueToCode(block, 'B', Blockly.JavaScript.ORDER_SUBTRACTION) || '0';
-        const code = `(Number(${a}) - Number(${b}))`;
-        return [code, Blockly.JavaScript.ORDER_SUBTRACTION];
-    };
 
     Blockly.Blocks['operator_multiply'] = {
         init: function() {
@@ -2424,12 +2539,6 @@ document.addEventListener('DOMContentLoaded', () => {
             this.setInputsInline(true);
         }
     };
-    Blockly.JavaScript['operator_multiply'] = function(block) {
-        const a = Blockly.JavaScript.valueToCode(block, 'A', Blockly.JavaScript.ORDER_MULTIPLICATION) || '0';
-        const b = Blockly.JavaScript.valueToCode(block, 'B', Blockly.JavaScript.ORDER_MULTIPLICATION) || '0';
-        const code = `(Number(${a}) * Number(${b}))`;
-        return [code, Blockly.JavaScript.ORDER_MULTIPLICATION];
-    };
 
     Blockly.Blocks['operator_divide'] = {
         init: function() {
@@ -2442,11 +2551,60 @@ document.addEventListener('DOMContentLoaded', () => {
             this.setInputsInline(true);
         }
     };
-    Blockly.JavaScript['operator_divide'] = function(block) {
-        const a = Blockly.JavaScript.valueToCode(block, 'A', Blockly.JavaScript.ORDER_DIVISION) || '0';
-        const b = Blockly.JavaScript.valueToCode(block, 'B', Blockly.JavaScript.ORDER_DIVISION) || '1';
-        const code = `(Number(${a}) / Number(${b}))`;
-        return [code, Blockly.JavaScript.ORDER_DIVISION];
+
+    const COMPARISON_OPERATORS = [
+        { type: 'operator_lt', symbol: '<', tooltip: "Reports true if the first value is less than the second." },
+        { type: 'operator_equals', symbol: '=', tooltip: "Reports true if both values are equal." },
+        { type: 'operator_gt', symbol: '>', tooltip: "Reports true if the first value is greater than the second." }
+    ];
+
+    COMPARISON_OPERATORS.forEach(({ type, symbol, tooltip }) => {
+        Blockly.Blocks[type] = {
+            init: function() {
+                this.setOutput(true, "Boolean");
+                this.setColour("#40BF4A");
+                this.setTooltip(tooltip);
+                this.appendValueInput("A");
+                this.appendDummyInput().appendField(symbol);
+                this.appendValueInput("B");
+                this.setInputsInline(true);
+            }
+        };
+    });
+
+    Blockly.Blocks['operator_and'] = {
+        init: function() {
+            this.setOutput(true, "Boolean");
+            this.setColour("#40BF4A");
+            this.setTooltip("Reports true if both conditions are true.");
+            this.appendValueInput("A").setCheck("Boolean");
+            this.appendDummyInput().appendField('and');
+            this.appendValueInput("B").setCheck("Boolean");
+            this.setInputsInline(true);
+        }
+    };
+
+    Blockly.Blocks['operator_or'] = {
+        init: function() {
+            this.setOutput(true, "Boolean");
+            this.setColour("#40BF4A");
+            this.setTooltip("Reports true if either condition is true.");
+            this.appendValueInput("A").setCheck("Boolean");
+            this.appendDummyInput().appendField('or');
+            this.appendValueInput("B").setCheck("Boolean");
+            this.setInputsInline(true);
+        }
+    };
+
+    Blockly.Blocks['operator_not'] = {
+        init: function() {
+            this.setOutput(true, "Boolean");
+            this.setColour("#40BF4A");
+            this.setTooltip("Reports true if the condition is false.");
+            this.appendDummyInput().appendField('not');
+            this.appendValueInput("BOOL").setCheck("Boolean");
+            this.setInputsInline(true);
+        }
     };
 
     Blockly.Blocks['operator_random_number'] = {
@@ -2457,15 +2615,504 @@ document.addEventListener('DOMContentLoaded', () => {
                 .appendField(new FieldCustomNumber(10), "TO");
             this.setInputsInline(true);
             this.setOutput(true, "Number");
-            this.setColour("#40BF4A");
-            this.setTooltip("Returns a random integer between two numbers.");
+            this.setColour("#40BF4A");
+            this.setTooltip("Returns a random integer between two numbers.");
+        }
+    };
+
+    // --- Variables ---
+    const VARIABLE_COLOUR = "#FF8C1A";
+
+    /**
+     * Lists the variables a sprite can use: shared ones first, then its own.
+     * @param {object} sprite The sprite.
+     * @returns {Array<{id: string, name: string, isGlobal: boolean}>}
+     */
+    const getVariablesForSprite = (sprite) => {
+        const list = Object.entries(runtime.globalVariables).map(([id, v]) => ({ id, name: v.name, isGlobal: true }));
+        if (sprite && sprite.variables) {
+            Object.entries(sprite.variables).forEach(([id, v]) => list.push({ id, name: v.name, isGlobal: false }));
+        }
+        return list;
+    };
+
+    const isVariableNameTaken = (name, scope) => {
+        if (Object.values(runtime.globalVariables).some(v => v.name === name)) return true;
+        // A shared variable must not clash with any sprite's own variable;
+        // a sprite variable only needs to be unique within the active sprite.
+        const spritesToCheck = scope === 'global' ? Object.values(sprites) : [getActiveSprite()];
+        return spritesToCheck.some(sprite => sprite && sprite.variables &&
+            Object.values(sprite.variables).some(v => v.name === name));
+    };
+
+    const createVariable = (name, scope) => {
+        const id = `var-${Date.now()}`;
+        if (scope === 'global') {
+            runtime.globalVariables[id] = { name, value: 0 };
+        } else {
+            const sprite = getActiveSprite();
+            if (!sprite) return;
+            sprite.variables[id] = { name, value: 0 };
+        }
+        log(`Variable '${name}' created (${scope === 'global' ? 'all sprites' : 'this sprite only'}).`);
+        workspace.refreshToolboxSelection();
+    };
+
+    /**
+     * Copies the sprite-only variables used by a script to another sprite,
+     * so a script dragged onto another sprite card keeps working there.
+     * @param {Element} blockXml The XML of the copied script.
+     * @param {object} sourceSprite The sprite the script comes from.
+     * @param {object} targetSprite The sprite receiving the script.
+     */
+    const copyLocalVariablesForScript = (blockXml, sourceSprite, targetSprite) => {
+        if (!sourceSprite || !sourceSprite.variables) return;
+        targetSprite.variables = targetSprite.variables || {};
+        blockXml.querySelectorAll('field[name="VAR"]').forEach(field => {
+            const variableId = field.textContent;
+            const sourceVariable = sourceSprite.variables[variableId];
+            if (sourceVariable && !targetSprite.variables[variableId]) {
+                targetSprite.variables[variableId] = { name: sourceVariable.name, value: 0 };
+            }
+        });
+    };
+
+    // Custom field for variable selection. Stores the variable id and shows its name.
+    class FieldKidiVariable extends Blockly.FieldDropdown {
+        constructor() {
+            super(FieldKidiVariable.generateOptions);
+        }
+
+        static generateOptions() {
+            const options = getVariablesForSprite(getActiveSprite()).map(v => [v.name, v.id]);
+            if (options.length === 0) {
+                return [['?', 'NONE']];
+            }
+            return options;
+        }
+
+        // Scripts of other sprites are loaded while a different sprite is active,
+        // so accept any id instead of rejecting those not in the current options.
+        doClassValidation_(newValue) {
+            return typeof newValue === 'string' ? newValue : null;
+        }
+
+        doValueUpdate_(newValue) {
+            super.doValueUpdate_(newValue);
+            const variable = runtime.findVariable(getActiveSprite(), newValue);
+            this.selectedOption_ = [variable ? variable.name : '?', newValue];
+        }
+    }
+    Blockly.fieldRegistry.register('field_kidi_variable', FieldKidiVariable);
+
+    Blockly.Blocks['data_variable'] = {
+        init: function() {
+            this.appendDummyInput()
+                .appendField(new FieldKidiVariable(), 'VAR');
+            this.setOutput(true, null);
+            this.setColour(VARIABLE_COLOUR);
+            this.setTooltip("Returns the value of the variable.");
+        }
+    };
+
+    Blockly.Blocks['data_set_variable_to'] = {
+        init: function() {
+            this.appendValueInput("VALUE")
+                .appendField(new Blockly.FieldImage("https://codejredu.github.io/test/assets/blocklyicon/equal.svg", 34, 34, { alt: "set variable", flipRtl: false }))
+                .appendField(new FieldKidiVariable(), 'VAR');
+            this.setInputsInline(true);
+            this.setPreviousStatement(true, null);
+            this.setNextStatement(true, null);
+            this.setColour(VARIABLE_COLOUR);
+            this.setTooltip("Sets the variable to a value.");
+        }
+    };
+
+    Blockly.Blocks['data_change_variable_by'] = {
+        init: function() {
+            this.appendValueInput("VALUE")
+                .setCheck("Number")
+                .appendField(new Blockly.FieldImage("https://codejredu.github.io/test/assets/blocklyicon/increase.svg", 34, 34, { alt: "change variable", flipRtl: false }))
+                .appendField(new FieldKidiVariable(), 'VAR');
+            this.setInputsInline(true);
+            this.setPreviousStatement(true, null);
+            this.setNextStatement(true, null);
+            this.setColour(VARIABLE_COLOUR);
+            this.setTooltip("Changes the variable by a number.");
+        }
+    };
+
+    /**
+     * Builds the contents of the Variables toolbox category for the active sprite.
+     * @returns {Array<Element>} The flyout contents.
+     */
+    function buildVariablesFlyout() {
+        const xmlList = [];
+        const button = Blockly.utils.xml.createElement('button');
+        button.setAttribute('text', 'Make a Variable');
+        button.setAttribute('callbackKey', 'CREATE_KIDI_VARIABLE');
+        xmlList.push(button);
+
+        const variableList = getVariablesForSprite(getActiveSprite());
+        if (variableList.length === 0) return xmlList;
+
+        const createBlock = (type, variableId, valueInput, defaultValue) => {
+            const block = Blockly.utils.xml.createElement('block');
+            block.setAttribute('type', type);
+            const field = Blockly.utils.xml.createElement('field');
+            field.setAttribute('name', 'VAR');
+            field.appendChild(Blockly.utils.xml.createTextNode(variableId));
+            block.appendChild(field);
+            if (valueInput) {
+                const value = Blockly.utils.xml.createElement('value');
+                value.setAttribute('name', valueInput);
+                const shadow = Blockly.utils.xml.createElement('shadow');
+                shadow.setAttribute('type', 'math_number');
+                const num = Blockly.utils.xml.createElement('field');
+                num.setAttribute('name', 'NUM');
+                num.appendChild(Blockly.utils.xml.createTextNode(String(defaultValue)));
+                shadow.appendChild(num);
+                value.appendChild(shadow);
+                block.appendChild(value);
+            }
+            return block;
+        };
+
+        variableList.forEach(v => xmlList.push(createBlock('data_variable', v.id)));
+        const firstId = variableList[0].id;
+        xmlList.push(createBlock('data_set_variable_to', firstId, 'VALUE', 0));
+        xmlList.push(createBlock('data_change_variable_by', firstId, 'VALUE', 1));
+        return xmlList;
+    }
+
+    // --- My Blocks (procedures) ---
+    const PROCEDURE_COLOUR = "#FF6680";
+    const DEFINE_ICON = `data:image/svg+xml;utf8,<svg xmlns='http://www.w3.org/2000/svg' width='24' height='24' viewBox='0 0 24 24' fill='white'><path d='M4 4h7v3.5a1.5 1.5 0 0 0 3 0V4h6v6h-3.5a1.5 1.5 0 0 0 0 3H20v7h-7v-3.5a1.5 1.5 0 0 0-3 0V20H4z'/></svg>`;
+
+    /**
+     * Writes a procedure ({id, name, args}) into a <mutation> element, the
+     * way both the definition and the call blocks keep it in workspaceXml.
+     */
+    function procedureToMutation(procedure) {
+        const container = Blockly.utils.xml.createElement('mutation');
+        container.setAttribute('procid', procedure.id);
+        container.setAttribute('name', procedure.name);
+        procedure.args.forEach(arg => {
+            const argElement = Blockly.utils.xml.createElement('arg');
+            argElement.setAttribute('name', arg.name);
+            argElement.setAttribute('type', arg.type);
+            container.appendChild(argElement);
+        });
+        return container;
+    }
+
+    function mutationToProcedure(xmlElement) {
+        return {
+            id: xmlElement.getAttribute('procid') || '',
+            name: xmlElement.getAttribute('name') || '',
+            args: Array.from(xmlElement.getElementsByTagName('arg')).map(argElement => ({
+                name: argElement.getAttribute('name'),
+                type: argElement.getAttribute('type') === 'text' ? 'text' : 'number',
+            })),
+        };
+    }
+
+    const getProcedureDefinitions = (ws) => ws.getTopBlocks(false).filter(block => block.type === 'procedures_definition');
+
+    const findProcedureDefinition = (ws, procedureId) =>
+        getProcedureDefinitions(ws).find(block => block.procedure_.id === procedureId) || null;
+
+    const isProcedureNameTaken = (name) =>
+        getProcedureDefinitions(workspace).some(block => block.procedure_.name.toLowerCase() === name.toLowerCase());
+
+    /**
+     * Places a new "define" hat for a procedure in the active sprite's workspace.
+     * @param {string} name The name of the new block.
+     * @param {!Array<{name: string, type: string}>} args Its inputs.
+     */
+    const createProcedure = (name, args) => {
+        const procedure = { id: `proc-${Date.now()}`, name, args };
+        const blockXml = Blockly.utils.xml.createElement('block');
+        blockXml.setAttribute('type', 'procedures_definition');
+        blockXml.appendChild(procedureToMutation(procedure));
+
+        const metrics = workspace.getMetrics();
+        const block = Blockly.Xml.domToBlock(blockXml, workspace);
+        block.moveBy(metrics.viewLeft + 40, metrics.viewTop + 40);
+        workspace.refreshToolboxSelection();
+        log(`Block '${name}' created.`);
+    };
+
+    /**
+     * Copies the definitions of the procedures called by a script into the
+     * target sprite's workspace, so the copied calls still work there.
+     * @param {!Element} blockXml The XML of the dropped script.
+     * @param {!Blockly.Workspace} sourceWorkspace Workspace holding the definitions.
+     * @param {!Blockly.Workspace} targetWorkspace The target sprite's workspace.
+     */
+    const copyProcedureDefinitionsForScript = (blockXml, sourceWorkspace, targetWorkspace) => {
+        const pending = [blockXml];
+        while (pending.length > 0) {
+            const xml = pending.pop();
+            const calls = [xml, ...xml.querySelectorAll('block')].filter(el => el.getAttribute('type') === 'procedures_call');
+            calls.forEach(call => {
+                const mutation = Array.from(call.children).find(child => child.tagName === 'mutation');
+                const procedureId = mutation && mutation.getAttribute('procid');
+                if (!procedureId) return;
+                if (findProcedureDefinition(targetWorkspace, procedureId)) return;
+                const definition = findProcedureDefinition(sourceWorkspace, procedureId);
+                if (!definition) return;
+
+                const definitionXml = Blockly.Xml.blockToDom(definition, true);
+                const position = definition.getRelativeToSurfaceXY();
+                definitionXml.setAttribute('x', position.x);
+                definitionXml.setAttribute('y', position.y);
+                Blockly.Xml.domToBlock(definitionXml, targetWorkspace);
+                pending.push(definitionXml); // It may call other procedures.
+            });
+        }
+    };
+
+    Blockly.Blocks['procedures_definition'] = {
+        init: function() {
+            this.procedure_ = { id: '', name: '', args: [] };
+            this.setNextStatement(true, null);
+            this.setColour(PROCEDURE_COLOUR);
+            this.setTooltip("The blocks below run when this block is used.");
+            this.updateShape_();
+        },
+        mutationToDom: function() {
+            return procedureToMutation(this.procedure_);
+        },
+        domToMutation: function(xmlElement) {
+            this.procedure_ = mutationToProcedure(xmlElement);
+            this.updateShape_();
+        },
+        updateShape_: function() {
+            if (this.getInput('TOP')) this.removeInput('TOP');
+            const input = this.appendDummyInput('TOP')
+                .appendField(new Blockly.FieldImage(DEFINE_ICON, 28, 28, { alt: "define", flipRtl: false }))
+                .appendField(this.procedure_.name);
+            this.procedure_.args.forEach(arg => input.appendField(`(${arg.name})`));
+        }
+    };
+
+    Blockly.Blocks['procedures_call'] = {
+        init: function() {
+            this.procedure_ = { id: '', name: '', args: [] };
+            this.setInputsInline(true);
+            this.setPreviousStatement(true, null);
+            this.setNextStatement(true, null);
+            this.setColour(PROCEDURE_COLOUR);
+            this.setTooltip("Runs the blocks under the matching define block.");
+            this.updateShape_();
+        },
+        mutationToDom: function() {
+            return procedureToMutation(this.procedure_);
+        },
+        domToMutation: function(xmlElement) {
+            this.procedure_ = mutationToProcedure(xmlElement);
+            this.updateShape_();
+        },
+        updateShape_: function() {
+            if (this.getInput('NAME')) this.removeInput('NAME');
+            for (let i = 0; this.getInput('ARG' + i); i++) {
+                this.removeInput('ARG' + i);
+            }
+            this.appendDummyInput('NAME').appendField(this.procedure_.name);
+            this.procedure_.args.forEach((arg, i) => {
+                this.appendValueInput('ARG' + i)
+                    .setCheck(arg.type === 'number' ? "Number" : null)
+                    .appendField(arg.name);
+            });
+        }
+    };
+
+    Blockly.Blocks['procedures_argument'] = {
+        init: function() {
+            this.appendDummyInput()
+                .appendField(new Blockly.FieldLabelSerializable(''), 'NAME');
+            this.setOutput(true, null);
+            this.setColour(PROCEDURE_COLOUR);
+            this.setTooltip("The value given to this input of the block.");
+        }
+    };
+
+    function buildProceduresFlyout() {
+        const xmlList = [];
+        const button = Blockly.utils.xml.createElement('button');
+        button.setAttribute('text', 'Make a Block');
+        button.setAttribute('callbackKey', 'CREATE_KIDI_PROCEDURE');
+        xmlList.push(button);
+
+        getProcedureDefinitions(workspace).forEach(definition => {
+            const procedure = definition.procedure_;
+
+            const call = Blockly.utils.xml.createElement('block');
+            call.setAttribute('type', 'procedures_call');
+            call.appendChild(procedureToMutation(procedure));
+            procedure.args.forEach((arg, i) => {
+                const value = Blockly.utils.xml.createElement('value');
+                value.setAttribute('name', 'ARG' + i);
+                const shadow = Blockly.utils.xml.createElement('shadow');
+                shadow.setAttribute('type', arg.type === 'text' ? 'text' : 'math_number');
+                const field = Blockly.utils.xml.createElement('field');
+                field.setAttribute('name', arg.type === 'text' ? 'TEXT' : 'NUM');
+                field.appendChild(Blockly.utils.xml.createTextNode(arg.type === 'text' ? '' : '10'));
+                shadow.appendChild(field);
+                value.appendChild(shadow);
+                call.appendChild(value);
+            });
+            xmlList.push(call);
+
+            procedure.args.forEach(arg => {
+                const reporter = Blockly.utils.xml.createElement('block');
+                reporter.setAttribute('type', 'procedures_argument');
+                const field = Blockly.utils.xml.createElement('field');
+                field.setAttribute('name', 'NAME');
+                field.appendChild(Blockly.utils.xml.createTextNode(arg.name));
+                reporter.appendChild(field);
+                xmlList.push(reporter);
+            });
+        });
+        return xmlList;
+    }
+
+    // --- Sensing ---
+    const SENSING_COLOUR = "#4CBFE6";
+    const SENSING_ICONS = {
+        'mouse': `data:image/svg+xml;utf8,<svg xmlns='http://www.w3.org/2000/svg' width='24' height='24' viewBox='0 0 24 24' fill='none' stroke='white' stroke-width='2' stroke-linecap='round' stroke-linejoin='round'><rect x='6' y='3' width='12' height='18' rx='6'/><path d='M12 7v4'/></svg>`,
+        'distance': `data:image/svg+xml;utf8,<svg xmlns='http://www.w3.org/2000/svg' width='24' height='24' viewBox='0 0 24 24' fill='none' stroke='white' stroke-width='2' stroke-linecap='round' stroke-linejoin='round'><path d='M3 12h18'/><path d='m6 9-3 3 3 3'/><path d='m18 9 3 3-3 3'/></svg>`,
+        'timer': `data:image/svg+xml;utf8,<svg xmlns='http://www.w3.org/2000/svg' width='24' height='24' viewBox='0 0 24 24' fill='none' stroke='white' stroke-width='2' stroke-linecap='round' stroke-linejoin='round'><circle cx='12' cy='13' r='8'/><path d='M12 9v4l2 2'/><path d='M10 2h4'/></svg>`,
+        'reset': `data:image/svg+xml;utf8,<svg xmlns='http://www.w3.org/2000/svg' width='24' height='24' viewBox='0 0 24 24' fill='none' stroke='white' stroke-width='2' stroke-linecap='round' stroke-linejoin='round'><path d='M3 12a9 9 0 1 0 3-6.7L3 8'/><path d='M3 3v5h5'/></svg>`,
+    };
+
+    // Live input state read by the sensing blocks. Key presses reach the runtime through handleKeyPress.
+    document.addEventListener('keyup', (event) => runtime.keyUp(event.key, event.code));
+    // The page doesn't hear keys go up while it is in the background.
+    window.addEventListener('blur', () => runtime.releaseAllKeys());
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) runtime.releaseAllKeys();
+    });
+
+    document.addEventListener('mousemove', (event) => {
+        const position = clientToStagePosition(getPointerPosition(event));
+        if (position) runtime.moveMouse(position.x, position.y);
+    });
+
+    // Taps and swipes on the stage, for the stage hats. Presses on a sprite
+    // are left to the sprite: a tap there is a sprite click, a move a drag.
+    const TAP_MAX_DISTANCE = 10; // In stage units.
+    const SWIPE_MIN_DISTANCE = 40;
+    const GESTURE_MAX_MS = 800; // Slower presses are neither.
+    let stageGesture = null; // { pointerId, start, time } while a press on the stage is down.
+
+    stageArea.addEventListener('pointerdown', (event) => {
+        if (!event.isPrimary || event.target.closest('.sprite-container')) return;
+        const start = clientToStagePosition(getPointerPosition(event));
+        if (start) stageGesture = { pointerId: event.pointerId, start, time: performance.now() };
+    });
+    document.addEventListener('pointerup', (event) => {
+        if (!stageGesture || event.pointerId !== stageGesture.pointerId) return;
+        const { start, time } = stageGesture;
+        stageGesture = null;
+        const end = clientToStagePosition(getPointerPosition(event));
+        if (!end || performance.now() - time > GESTURE_MAX_MS) return;
+
+        const deltaX = end.x - start.x;
+        const deltaY = end.y - start.y;
+        const distance = Math.hypot(deltaX, deltaY);
+        if (distance <= TAP_MAX_DISTANCE) {
+            runtime.tapStage(end.x, end.y);
+        } else if (distance >= SWIPE_MIN_DISTANCE) {
+            if (Math.abs(deltaX) > Math.abs(deltaY)) {
+                runtime.swipeStage(deltaX > 0 ? 'RIGHT' : 'LEFT');
+            } else {
+                runtime.swipeStage(deltaY > 0 ? 'UP' : 'DOWN');
+            }
+        }
+    });
+    document.addEventListener('pointercancel', (event) => {
+        if (stageGesture && event.pointerId === stageGesture.pointerId) stageGesture = null;
+    });
+
+    Blockly.Blocks['sensing_touching'] = {
+        init: function() {
+            this.appendDummyInput()
+                .appendField(new Blockly.FieldImage("https://codejredu.github.io/test/assets/blocklyicon/collision.svg", 34, 34, { alt: "touching", flipRtl: false }))
+                .appendField(new FieldSprite({ includeEdge: true }), 'TARGET_SPRITE')
+                .appendField('?');
+            this.setOutput(true, "Boolean");
+            this.setColour(SENSING_COLOUR);
+            this.setTooltip("Reports true if this sprite is touching the selected sprite or the edge of the stage.");
+        }
+    };
+
+    Blockly.Blocks['sensing_distance_to'] = {
+        init: function() {
+            this.appendDummyInput()
+                .appendField(new Blockly.FieldImage(SENSING_ICONS['distance'], 28, 28, { alt: "distance to", flipRtl: false }))
+                .appendField(new FieldSprite(), 'TARGET_SPRITE');
+            this.setOutput(true, "Number");
+            this.setColour(SENSING_COLOUR);
+            this.setTooltip("Reports the distance from this sprite to the selected sprite.");
+        }
+    };
+
+    Blockly.Blocks['sensing_mouse_x'] = {
+        init: function() {
+            this.appendDummyInput()
+                .appendField(new Blockly.FieldImage(SENSING_ICONS['mouse'], 28, 28, { alt: "mouse x", flipRtl: false }))
+                .appendField("x");
+            this.setOutput(true, "Number");
+            this.setColour(SENSING_COLOUR);
+            this.setTooltip("Reports the X position of the mouse on the stage.");
+        }
+    };
+
+    Blockly.Blocks['sensing_mouse_y'] = {
+        init: function() {
+            this.appendDummyInput()
+                .appendField(new Blockly.FieldImage(SENSING_ICONS['mouse'], 28, 28, { alt: "mouse y", flipRtl: false }))
+                .appendField("y");
+            this.setOutput(true, "Number");
+            this.setColour(SENSING_COLOUR);
+            this.setTooltip("Reports the Y position of the mouse on the stage.");
+        }
+    };
+
+    Blockly.Blocks['sensing_key_pressed'] = {
+        init: function() {
+            this.appendDummyInput()
+                .appendField(new Blockly.FieldImage("https://codejredu.github.io/test/assets/blocklyicon/keyboard.svg", 34, 34, { alt: "key pressed", flipRtl: false }))
+                .appendField(new FieldKey(), "KEY")
+                .appendField('?');
+            this.setOutput(true, "Boolean");
+            this.setColour(SENSING_COLOUR);
+            this.setTooltip("Reports true while the selected key is held down.");
+        }
+    };
+
+    Blockly.Blocks['sensing_timer'] = {
+        init: function() {
+            this.appendDummyInput()
+                .appendField(new Blockly.FieldImage(SENSING_ICONS['timer'], 28, 28, { alt: "timer", flipRtl: false }));
+            this.setOutput(true, "Number");
+            this.setColour(SENSING_COLOUR);
+            this.setTooltip("Reports the seconds since the project started or the timer was reset.");
         }
     };
-    Blockly.JavaScript['operator_random_number'] = function(block) {
-        const from = block.getFieldValue('FROM');
-        const to = block.getFieldValue('TO');
-        const code = `Math.floor(Math.random() * (Number(${to}) - Number(${from}) + 1)) + Number(${from})`;
-        return [code, Blockly.JavaScript.ORDER_FUNCTION_CALL];
+
+    Blockly.Blocks['sensing_reset_timer'] = {
+        init: function() {
+            this.appendDummyInput()
+                .appendField(new Blockly.FieldImage(SENSING_ICONS['reset'], 28, 28, { alt: "reset", flipRtl: false }))
+                .appendField(new Blockly.FieldImage(SENSING_ICONS['timer'], 28, 28, { alt: "timer", flipRtl: false }));
+            this.setPreviousStatement(true, null);
+            this.setNextStatement(true, null);
+            this.setColour(SENSING_COLOUR);
+            this.setTooltip("Sets the timer back to zero.");
+        }
     };
 
     // Custom field for sound selection
@@ -2497,43 +3144,6 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     };
 
-    Blockly.JavaScript['sound_play_until_done'] = function(block) {
-        const soundUrl = block.getFieldValue('SOUND');
-        if (!soundUrl || soundUrl === 'NONE') return '';
-    
-        const soundId = soundUIController.soundManager.getAllSounds().find(s => s.url === soundUrl)?.id;
-        if (!soundId) {
-             // This case is unlikely if the dropdown is populated correctly, but it's a good safeguard.
-            console.warn(`Could not find sound ID for URL: ${soundUrl}`);
-            return `yield;`;
-        }
-    
-        const blockId = block.id.replace(/[^a-zA-Z0-9]/g, '_');
-        const promiseVar = `soundPromise_${blockId}`;
-        const flagVar = `soundFlag_${blockId}`;
-
-        return `
-            if (sprite) {
-                log('Playing sound: ${soundUrl}');
-                let ${flagVar} = false;
-                const ${promiseVar} = soundUIController.soundManager.playSound('${soundId}');
-                ${promiseVar}.then(() => { ${flagVar} = true; });
-
-                while (!${flagVar}) {
-                    if (getExecutionCancelled()) {
-                        // We can't easily stop the sound here without more complex logic,
-                        // but we can stop waiting for it.
-                        break;
-                    }
-                    yield;
-                }
-                if (!getExecutionCancelled()) {
-                    log('Sound finished.');
-                }
-            }
-        `;
-    };
-
     
     // Configure Blockly's angle picker to match Scratch
     // 0 is up, clockwise
@@ -2580,6 +3190,16 @@ document.addEventListener('DOMContentLoaded', () => {
         };
     }
 
+    // The Variables category is filled dynamically with the active sprite's variables.
+    workspace.registerToolboxCategoryCallback('KIDI_VARIABLES', buildVariablesFlyout);
+    workspace.registerButtonCallback('CREATE_KIDI_VARIABLE', () => {
+        if (variableDialog) variableDialog.open();
+    });
+    workspace.registerToolboxCategoryCallback('KIDI_PROCEDURES', buildProceduresFlyout);
+    workspace.registerButtonCallback('CREATE_KIDI_PROCEDURE', () => {
+        if (procedureDialog) procedureDialog.open();
+    });
+
     /**
      * Handles highlighting sprite cards when a block is dragged over them.
      * This is the 'mousemove' event handler.
@@ -2638,8 +3258,17 @@ document.addEventListener('DOMContentLoaded', () => {
                     draggedBlockXml.setAttribute('x', targetX);
                     draggedBlockXml.setAttribute('y', targetY);
 
-                    // Add the new block
-                    Blockly.Xml.domToBlock(draggedBlockXml, tempWorkspace);
+                    // A sprite needs only one copy of each "define" block.
+                    const isDefinition = draggedBlockXml.getAttribute('type') === 'procedures_definition';
+                    const procedureMutation = isDefinition && Array.from(draggedBlockXml.children).find(child => child.tagName === 'mutation');
+                    if (procedureMutation && findProcedureDefinition(tempWorkspace, procedureMutation.getAttribute('procid'))) {
+                        log(`${targetSprite.name} already has this block.`);
+                    } else {
+                        // Add the new block
+                        Blockly.Xml.domToBlock(draggedBlockXml, tempWorkspace);
+                    }
+                    copyLocalVariablesForScript(draggedBlockXml, sprites[sourceSpriteIdForCopy], targetSprite);
+                    copyProcedureDefinitionsForScript(draggedBlockXml, workspace, tempWorkspace);
 
                     // Save the combined XML back to the target sprite
                     const newXmlDom = Blockly.Xml.workspaceToDom(tempWorkspace);
@@ -2732,18 +3361,161 @@ document.addEventListener('DOMContentLoaded', () => {
         saveActiveSpriteWorkspace();
     });
 
-    const getExecutionCancelled = () => executionCancelled;
+    // --- Pause / Resume / Step ---
+    const pauseButton = document.getElementById('pause-button');
+    const pauseIcon = document.getElementById('pause-icon');
+    const resumeIcon = document.getElementById('resume-icon');
+    const stepButton = document.getElementById('step-button');
+    const speedButton = document.getElementById('speed-button');
+    const RUNTIME_SPEEDS = [1, 0.5, 0.25, 2]; // Cycled by the speed button.
+    let highlightedBlockIds = [];
+
+    function updatePauseControls() {
+        const isRunning = !!(scriptRunner && scriptRunner.isRunning);
+        const isPaused = isRunning && scriptRunner.isPaused;
+        pauseButton.classList.toggle('hidden', !isRunning);
+        pauseButton.title = isPaused ? 'Resume' : 'Pause';
+        pauseIcon.classList.toggle('hidden', isPaused);
+        resumeIcon.classList.toggle('hidden', !isPaused);
+        stepButton.classList.toggle('hidden', !isPaused);
+    }
+
+    /**
+     * Highlights the block each thread of the active sprite is on while the
+     * scripts are paused or running in slow motion, and clears the
+     * highlights otherwise.
+     */
+    function updateRunningBlockHighlights() {
+        const showHighlights = scriptRunner && scriptRunner.isRunning &&
+            (scriptRunner.isPaused || runtimeClock.speed < 1);
+        const blockIds = showHighlights && activeSpriteId
+            ? scriptRunner.getCurrentBlockIds(activeSpriteId).filter(id => workspace.getBlockById(id))
+            : [];
+
+        const unchanged = blockIds.length === highlightedBlockIds.length &&
+            blockIds.every(id => highlightedBlockIds.includes(id));
+        if (unchanged) return;
+
+        workspace.highlightBlock(null);
+        blockIds.forEach(id => workspace.highlightBlock(id, true));
+        highlightedBlockIds = blockIds;
+    }
+
+    function togglePause() {
+        if (!scriptRunner || !scriptRunner.isRunning) return;
+        if (scriptRunner.isPaused) {
+            scriptRunner.resume();
+        } else {
+            scriptRunner.pause();
+        }
+        updatePauseControls();
+        updateRunningBlockHighlights();
+    }
+
+    function stepFrame() {
+        if (!scriptRunner || !scriptRunner.isPaused) return;
+        scriptRunner.step();
+        checkCollisions();
+        updatePauseControls();
+        updateRunningBlockHighlights();
+    }
+
+    function cycleRuntimeSpeed() {
+        const index = RUNTIME_SPEEDS.indexOf(runtimeClock.speed);
+        const speed = RUNTIME_SPEEDS[(index + 1) % RUNTIME_SPEEDS.length];
+        runtimeClock.setSpeed(speed);
+        speedButton.textContent = `${speed}x`;
+        log(`Runtime speed set to ${speed}x.`);
+        updateRunningBlockHighlights();
+    }
+
+    pauseButton.addEventListener('click', togglePause);
+    stepButton.addEventListener('click', stepFrame);
+    speedButton.addEventListener('click', cycleRuntimeSpeed);
+
+    // --- Script errors ---
+    const ERROR_BADGE_TEXT = {
+        error: 'Oops! Something went wrong in this block, so its script stopped.',
+        runaway: 'This loop ran for a long time without a pause, so its script was stopped. Try adding a "wait" block inside it.',
+    };
+    // How the kids know each hat block, to name a script in messages.
+    const HAT_LABELS = {
+        'event_when_flag_clicked': 'when green flag clicked',
+        'event_when_sprite_clicked': 'when this sprite clicked',
+        'event_when_key_pressed': 'when key pressed',
+        'event_when_key_released': 'when key released',
+        'event_when_bump': 'when bumping',
+        'event_when_touching_edge': 'when touching edge',
+        'event_when_broadcast_received': 'when I receive a message',
+        'event_when_told': 'when I am told a message',
+        'event_when_stage_tapped': 'when stage tapped',
+        'event_when_stage_swiped': 'when stage swiped',
+        'control_start_as_clone': 'when I start as a clone',
+        'procedures_definition': 'define',
+    };
+    // Blocks with an error badge, as sprite id -> Map of block id to badge text. Kept until the next run.
+    const errorBadges = new Map();
+    let stageMessageTimeout = null;
+
+    function onScriptError(error) {
+        if (error.spriteId && error.blockId) {
+            if (!errorBadges.has(error.spriteId)) errorBadges.set(error.spriteId, new Map());
+            errorBadges.get(error.spriteId).set(error.blockId, ERROR_BADGE_TEXT[error.kind]);
+            if (error.spriteId === activeSpriteId) showErrorBadges();
+        }
+        if (error.kind === 'runaway') {
+            const script = HAT_LABELS[error.hatType] ? `"${HAT_LABELS[error.hatType]}" script` : 'script';
+            showStageMessage(`${error.spriteName}'s ${script} was stuck in a very long loop, so it was stopped.`);
+        }
+        if (errorListPanel) errorListPanel.update();
+    }
+
+    /** Puts the error badges of the active sprite on its blocks. */
+    function showErrorBadges() {
+        const badges = errorBadges.get(activeSpriteId);
+        if (!badges) return;
+        badges.forEach((text, id) => {
+            const block = workspace.getBlockById(id);
+            if (block) block.setWarningText(text);
+        });
+    }
+
+    function clearErrorBadges() {
+        (errorBadges.get(activeSpriteId) || new Map()).forEach((text, id) => {
+            const block = workspace.getBlockById(id);
+            if (block) block.setWarningText(null);
+        });
+        errorBadges.clear();
+    }
+
+    /** Shows a short notice on top of the stage for a few seconds. */
+    function showStageMessage(text) {
+        const message = document.getElementById('stage-message');
+        message.textContent = text;
+        message.classList.add('visible');
+        clearTimeout(stageMessageTimeout);
+        stageMessageTimeout = setTimeout(() => message.classList.remove('visible'), 6000);
+    }
+
+    /** Opens the sprite of an error from the error list and shows its block. */
+    function showErrorBlock(error) {
+        if (!sprites[error.spriteId]) return;
+        setActiveSprite(error.spriteId);
+        const block = workspace.getBlockById(error.blockId);
+        if (block) {
+            workspace.centerOnBlock(block.id);
+            block.select();
+        }
+    }
 
     function showBlockValue(block) {
-        // Generate code for the single block
-        const codeArray = Blockly.JavaScript.blockToCode(block);
-        if (!codeArray || typeof codeArray[0] !== 'string') return;
+        const sprite = getActiveSprite();
+        if (!sprite) return;
 
-        const expression = codeArray[0];
+        saveActiveSpriteWorkspace(); // The block may be newer than the last change event.
         let value;
         try {
-            // Safely evaluate the expression
-            value = new Function('sprite', 'return ' + expression)(getActiveSprite());
+            value = runtime.evaluateBlock(sprite, block.id);
             // Round if it's a number with many decimals
             if (typeof value === 'number') {
                 value = Math.round(value * 1000) / 1000;
@@ -2782,81 +3554,18 @@ document.addEventListener('DOMContentLoaded', () => {
         }, 1200); // Display for 1.2 seconds
     }
 
-    function createGeneratorForStack(startBlock, sprite) {
-        let code = '';
-        let currentBlock = startBlock.getNextBlock();
-        while (currentBlock) {
-            code += Blockly.JavaScript.blockToCode(currentBlock);
-            if (getExecutionCancelled()) break;
-            currentBlock = currentBlock.getNextBlock();
-        }
-
-        if (!code) return null;
-
-        // The generated code will access window.frameDeltaTime, which is updated every tick.
-        const GeneratorFunction = Object.getPrototypeOf(function*(){}).constructor;
-        const func = new GeneratorFunction('sprite', 'log', 'getExecutionCancelled', 'window', 'soundUIController', 'backdropScroller', code);
-        
-        return func(sprite, log, getExecutionCancelled, window, soundUIController, backdropScroller);
-    }
-
-    function runScriptStack(startBlock) {
-        saveActiveSpriteWorkspace();
-        const sprite = getActiveSprite();
-        if (!sprite) {
-            log("No active sprite to run script.");
-            return;
-        }
-        
-        const generator = createGeneratorForStack(startBlock, sprite);
-        if (generator) {
-            if (!scriptRunner || !scriptRunner.isRunning) {
-                 scriptRunner = new ScriptRunner(stopAllScripts);
-                 document.getElementById('run-button').classList.add('hidden');
-                 document.getElementById('reset-button').classList.remove('hidden');
-                 fullscreenRunButton.classList.add('hidden');
-                 fullscreenResetButton.classList.remove('hidden');
-            }
-            scriptRunner.add(generator);
-        }
-    }
-
-    function createGeneratorFromBlock(startBlock, sprite) {
-        let code = '';
-        let currentBlock = startBlock; // Start WITH the clicked block
-        while (currentBlock) {
-            code += Blockly.JavaScript.blockToCode(currentBlock);
-            if (getExecutionCancelled()) break;
-            currentBlock = currentBlock.getNextBlock();
-        }
-
-        if (!code) return null;
-
-        const GeneratorFunction = Object.getPrototypeOf(function*(){}).constructor;
-        const func = new GeneratorFunction('sprite', 'log', 'getExecutionCancelled', 'window', 'soundUIController', 'backdropScroller', code);
-        
-        return func(sprite, log, getExecutionCancelled, window, soundUIController, backdropScroller);
-    }
-    
-    function runScriptFromBlock(startBlock) {
-        saveActiveSpriteWorkspace();
+    /**
+     * Runs a clicked block on the active sprite. A hat runs the stack below
+     * it; any other block runs itself and the blocks below it.
+     */
+    function runClickedBlock(block, skipFirstBlock) {
         const sprite = getActiveSprite();
         if (!sprite) {
             log("No active sprite to run script.");
             return;
         }
-        
-        const generator = createGeneratorFromBlock(startBlock, sprite);
-        if (generator) {
-            if (!scriptRunner || !scriptRunner.isRunning) {
-                 scriptRunner = new ScriptRunner(stopAllScripts);
-                 document.getElementById('run-button').classList.add('hidden');
-                 document.getElementById('reset-button').classList.remove('hidden');
-                 fullscreenRunButton.classList.add('hidden');
-                 fullscreenResetButton.classList.remove('hidden');
-            }
-            scriptRunner.add(generator);
-        }
+        saveActiveSpriteWorkspace(); // The block may be newer than the last change event.
+        runtime.runBlock(sprite, block.id, { skipFirstBlock });
     }
     
     const blocklyDiv = document.getElementById('blockly-area');
@@ -2877,12 +3586,12 @@ document.addEventListener('DOMContentLoaded', () => {
         // If it's a "hat" block (starts a script), run the stack below it.
         // A hat block has a next connection but no previous connection.
         if (!block.previousConnection && block.nextConnection) {
-            runScriptStack(block);
+            runClickedBlock(block, true);
         } 
         // For any other command block (regular, terminator, or standalone),
         // run the script starting from this block itself.
         else {
-            runScriptFromBlock(block);
+            runClickedBlock(block, false);
         }
     });
 
@@ -2987,336 +3696,63 @@ document.addEventListener('DOMContentLoaded', () => {
     }
     
     function runCode() {
-        if (scriptRunner && scriptRunner.isRunning) {
-            log('Script already running. Press stop before running again.');
-            return;
-        }
-
-        saveActiveSpriteWorkspace();
-
-        const scriptsToRun = [];
-        Object.values(sprites).forEach(sprite => {
-            if (sprite.workspaceXml) {
-                const tempWorkspace = new Blockly.Workspace();
-                try {
-                    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(sprite.workspaceXml), tempWorkspace);
-                    const topBlocks = tempWorkspace.getTopBlocks(true);
-                    const flagClickScripts = topBlocks.filter(block => block.type === 'event_when_flag_clicked');
-                    
-                    flagClickScripts.forEach(startBlock => {
-                       const generator = createGeneratorForStack(startBlock, sprite);
-                       if (generator) {
-                           scriptsToRun.push(generator);
-                       }
-                    });
-                } finally {
-                    tempWorkspace.dispose();
-                }
-            }
-        });
-
-        if (scriptsToRun.length > 0) {
-            log('Script started.');
-            document.getElementById('run-button').classList.add('hidden');
-            document.getElementById('reset-button').classList.remove('hidden');
-            fullscreenRunButton.classList.add('hidden');
-            fullscreenResetButton.classList.remove('hidden');
-            
-            scriptRunner = new ScriptRunner(stopAllScripts);
-            
-            Object.values(sprites).forEach(sprite => {
-                if (sprite.isGif && sprite.animation) {
-                    sprite.animation.isPlaying = true;
-                    sprite.animation.previewIsPlaying = false;
-                    sprite.animation.currentFrame = 0;
-                    updatePropertiesPanel();
-                }
-            });
-            
-            scriptsToRun.forEach(generator => scriptRunner.add(generator));
-        } else {
-            log('No scripts starting with green flag were found.');
-        }
-    }
-    
-    window.addEventListener('kidi-broadcast', (e) => {
-        const message = e.detail.message;
-        log(`Received message: ${message}`);
-        runBroadcastScripts(message);
-    });
+        if (!runtime.greenFlag()) return;
 
-    function runBroadcastScripts(message) {
-        saveActiveSpriteWorkspace();
-        
-        const scriptsToRun = [];
         Object.values(sprites).forEach(sprite => {
-            if (!sprite.workspaceXml) return;
-            
-            const tempWorkspace = new Blockly.Workspace();
-            try {
-                Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(sprite.workspaceXml), tempWorkspace);
-                const topBlocks = tempWorkspace.getTopBlocks(true);
-                
-                const matchingHatBlocks = topBlocks.filter(block => 
-                    block.type === 'event_when_broadcast_received' && 
-                    block.getFieldValue('MESSAGE') === message &&
-                    block.getNextBlock() // Ensure it has attached blocks
-                );
-                
-                matchingHatBlocks.forEach(startBlock => {
-                    const generator = createGeneratorForStack(startBlock, sprite);
-                    if(generator) scriptsToRun.push(generator);
-                });
-            } catch (err) {
-                console.error("Error processing workspace for broadcast:", err);
-            } finally {
-                tempWorkspace.dispose();
+            if (sprite.isGif && sprite.animation) {
+                sprite.animation.isPlaying = true;
+                sprite.animation.previewIsPlaying = false;
+                sprite.animation.currentFrame = 0;
+                updatePropertiesPanel();
             }
         });
-
-        if (scriptsToRun.length > 0) {
-            if (!scriptRunner || !scriptRunner.isRunning) {
-                scriptRunner = new ScriptRunner(stopAllScripts);
-                document.getElementById('run-button').classList.add('hidden');
-                document.getElementById('reset-button').classList.remove('hidden');
-                fullscreenRunButton.classList.add('hidden');
-                fullscreenResetButton.classList.remove('hidden');
-            }
-            scriptsToRun.forEach(gen => scriptRunner.add(gen));
-        }
     }
 
     function handleSpriteClick(spriteId) {
-        saveActiveSpriteWorkspace();
-        const sprite = sprites[spriteId];
-        if (!sprite || !sprite.workspaceXml) return;
-    
-        const scriptsToRun = [];
-        const tempWorkspace = new Blockly.Workspace();
-        try {
-            Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(sprite.workspaceXml), tempWorkspace);
-            const topBlocks = tempWorkspace.getTopBlocks(true);
-            const clickScripts = topBlocks.filter(block => 
-                block.type === 'event_when_sprite_clicked' && block.getNextBlock()
-            );
-    
-            clickScripts.forEach(startBlock => {
-                const generator = createGeneratorForStack(startBlock, sprite);
-                if (generator) {
-                    scriptsToRun.push(generator);
-                }
-            });
-        } catch (e) {
-            console.error("Error checking for sprite click scripts:", e);
-        } finally {
-            tempWorkspace.dispose();
-        }
-
-        if (scriptsToRun.length > 0) {
-            if (!scriptRunner || !scriptRunner.isRunning) {
-                scriptRunner = new ScriptRunner(stopAllScripts);
-                document.getElementById('run-button').classList.add('hidden');
-                document.getElementById('reset-button').classList.remove('hidden');
-                fullscreenRunButton.classList.add('hidden');
-                fullscreenResetButton.classList.remove('hidden');
-            }
-            scriptsToRun.forEach(gen => scriptRunner.add(gen));
-        }
+        runtime.clickSprite(spriteId);
     }
-    
-     // --- Collision Detection and Handling ---
+
     function checkCollisions() {
         if (isLoadingProject) return;
-
-        const spriteIds = Object.keys(sprites);
-        if (spriteIds.length < 2) return;
-
-        const newCollisionPairs = new Set();
-
-        for (let i = 0; i < spriteIds.length; i++) {
-            for (let j = i + 1; j < spriteIds.length; j++) {
-                const id1 = spriteIds[i];
-                const id2 = spriteIds[j];
-                
-                const el1 = document.getElementById(id1);
-                const el2 = document.getElementById(id2);
-                
-                if (!el1 || !el2 || sprites[id1].opacity === 0 || sprites[id2].opacity === 0) continue;
-                
-                const rect1 = el1.getBoundingClientRect();
-                const rect2 = el2.getBoundingClientRect();
-
-                const isColliding = !(rect1.right < rect2.left || 
-                                      rect1.left > rect2.right || 
-                                      rect1.bottom < rect2.top || 
-                                      rect1.top > rect2.bottom);
-                
-                if (isColliding) {
-                    const collisionKey = [id1, id2].sort().join('|');
-                    newCollisionPairs.add(collisionKey);
-                }
-            }
-        }
-
-        // Find collisions that just started
-        for (const key of newCollisionPairs) {
-            if (!collisionState.has(key)) {
-                log(`Collision started: ${key}`);
-                const [id1, id2] = key.split('|');
-                triggerBumpScripts(id1, id2);
-            }
-        }
-
-        // Update the global collision state
-        collisionState = newCollisionPairs;
+        runtime.checkCollisions();
     }
 
-    function triggerBumpScripts(id1, id2) {
-        saveActiveSpriteWorkspace();
-        const scriptsToRun = [];
-    
-        const findAndQueueScripts = (spriteToCheck, otherSpriteId) => {
-            if (!spriteToCheck || !spriteToCheck.workspaceXml) return;
-            const tempWorkspace = new Blockly.Workspace();
-            try {
-                Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(spriteToCheck.workspaceXml), tempWorkspace);
-                const bumpScripts = tempWorkspace.getTopBlocks(true).filter(block =>
-                    block.type === 'event_when_bump' && block.getNextBlock()
-                );
-    
-                bumpScripts.forEach(scriptBlock => {
-                    const targetSpriteId = scriptBlock.getFieldValue('TARGET_SPRITE');
-                    if (targetSpriteId === 'ANY' || targetSpriteId === otherSpriteId) {
-                        const generator = createGeneratorForStack(scriptBlock, spriteToCheck);
-                        if (generator) {
-                            // Wrap the generator to ensure the entire script runs.
-                            const wrappedGenerator = (function* () {
-                                let result = generator.next();
-                                while (!result.done) {
-                                    yield; // Yield control to the runner for one frame
-                                    result = generator.next();
-                                }
-                            })();
-                            scriptsToRun.push(wrappedGenerator);
-                        }
-                    }
-                });
-            } catch (e) {
-                console.error("Error processing bump script workspace for " + spriteToCheck.name, e);
-            } finally {
-                tempWorkspace.dispose();
-            }
-        };
-    
-        findAndQueueScripts(sprites[id1], id2);
-        findAndQueueScripts(sprites[id2], id1);
-    
-        if (scriptsToRun.length > 0) {
-            if (!scriptRunner || !scriptRunner.isRunning) {
-                scriptRunner = new ScriptRunner(stopAllScripts);
-                document.getElementById('run-button').classList.add('hidden');
-                document.getElementById('reset-button').classList.remove('hidden');
-                fullscreenRunButton.classList.add('hidden');
-                fullscreenResetButton.classList.remove('hidden');
-            }
-            scriptsToRun.forEach(gen => scriptRunner.add(gen));
-        }
-    }
+    const SCROLLING_KEYS = [KEY_VALUES.SPACE, KEY_VALUES.UP, KEY_VALUES.DOWN, KEY_VALUES.LEFT, KEY_VALUES.RIGHT];
 
     function handleKeyPress(event) {
-        // 1. Ignore if typing in an input
+        // 1. Ignore if typing in an input or picking a key for a block
         if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA') return;
+        if (isKeyPickerOpen) return;
 
-        const keyMap = { 'SPACE': ' ', 'UP': 'ArrowUp', 'DOWN': 'ArrowDown', 'RIGHT': 'ArrowRight', 'LEFT': 'ArrowLeft' };
         const pressedKey = event.key;
         
         // 2. Prevent default scrolling for arrow keys and space
         // This fixes the issue where pressing keys moves the page.
-        if (Object.values(keyMap).includes(pressedKey) || pressedKey === ' ') {
+        if (SCROLLING_KEYS.includes(pressedKey)) {
             event.preventDefault();
         }
 
-        saveActiveSpriteWorkspace();
-
-        const scriptsToRun = [];
-        Object.values(sprites).forEach(sprite => {
-            // Locking mechanism: If a key script is already running on this sprite, ignore new key presses.
-            // This prevents overlapping actions like moving Right then Down instantly.
-            if (sprite.activeKeyScriptCount > 0) {
-                return;
-            }
-
-            if (sprite.workspaceXml) {
-                const tempWorkspace = new Blockly.Workspace();
-                try {
-                    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(sprite.workspaceXml), tempWorkspace);
-                    const topBlocks = tempWorkspace.getTopBlocks(true);
-                    
-                    const matchingScripts = topBlocks.filter(block => 
-                        block.type === 'event_when_key_pressed' && 
-                        keyMap[block.getFieldValue('KEY')] === pressedKey &&
-                        block.getNextBlock()
-                    );
-
-                    matchingScripts.forEach(startBlock => {
-                        const generator = createGeneratorForStack(startBlock, sprite);
-                        if (generator) {
-                            // Increment counter when starting a script to lock the sprite
-                            sprite.activeKeyScriptCount = (sprite.activeKeyScriptCount || 0) + 1;
-                            
-                            // Wrap the generator to decrement the counter when finished, releasing the lock
-                            const wrappedGenerator = (function*() {
-                                try {
-                                    yield* generator;
-                                } finally {
-                                    sprite.activeKeyScriptCount--;
-                                    if (sprite.activeKeyScriptCount < 0) sprite.activeKeyScriptCount = 0;
-                                }
-                            })();
-                            scriptsToRun.push(wrappedGenerator);
-                        }
-                    });
-                } catch(e) {
-                    console.error("Error in handleKeyPress workspace processing:", e);
-                } finally {
-                    tempWorkspace.dispose();
-                }
-            }
-        });
-
-        if (scriptsToRun.length > 0) {
-            if (!scriptRunner || !scriptRunner.isRunning) {
-                scriptRunner = new ScriptRunner(stopAllScripts);
-                document.getElementById('run-button').classList.add('hidden');
-                document.getElementById('reset-button').classList.remove('hidden');
-                fullscreenRunButton.classList.add('hidden');
-                fullscreenResetButton.classList.remove('hidden');
-            }
-            scriptsToRun.forEach(gen => scriptRunner.add(gen));
-        }
+        runtime.keyDown(pressedKey, event.code);
     }
     document.addEventListener('keydown', handleKeyPress);
 
-    function stopAllScripts() {
-        if (scriptRunner) {
-            log('Stopping all scripts.');
-            scriptRunner.isRunning = false;
-            scriptRunner.stop();
-        }
-        
-        Object.values(sprites).forEach(sprite => {
-            const bubble = document.querySelector(`#container-${sprite.id} .speech-bubble`);
-            if (bubble) bubble.classList.remove('visible');
+    function onScriptsStarted() {
+        clearErrorBadges();
+        document.getElementById('run-button').classList.add('hidden');
+        document.getElementById('reset-button').classList.remove('hidden');
+        fullscreenRunButton.classList.add('hidden');
+        fullscreenResetButton.classList.remove('hidden');
+        updatePauseControls();
+    }
 
+    function onScriptsStopped() {
+        Object.values(sprites).forEach(sprite => {
             if (sprite.isGif && sprite.animation) {
                 sprite.animation.isPlaying = false;
                 sprite.animation.previewIsPlaying = false;
                 sprite.animation.currentFrame = 0;
                 drawGifFrame(sprite);
             }
-            
-            sprite.isJumping = false; // Fail-safe to reset jump state for all sprites
-            sprite.activeKeyScriptCount = 0; // Reset key script lock
         });
 
         soundUIController.stopPreview();
@@ -3327,6 +3763,12 @@ document.addEventListener('DOMContentLoaded', () => {
         document.getElementById('reset-button').classList.add('hidden');
         fullscreenRunButton.classList.remove('hidden');
         fullscreenResetButton.classList.add('hidden');
+        updatePauseControls();
+        updateRunningBlockHighlights();
+    }
+
+    function stopAllScripts() {
+        runtime.stopAll();
     }
 
     function deleteBackdrop(cardElement) {
@@ -3340,6 +3782,7 @@ document.addEventListener('DOMContentLoaded', () => {
         }
 
         cardElement.remove();
+        syncRuntimeBackdrops();
 
         if (urlToDelete === currentBackdropUrl) {
             const firstRemainingBackdrop = document.querySelector('#backdrops-list .backdrop-card');
@@ -3369,6 +3812,7 @@ document.addEventListener('DOMContentLoaded', () => {
         });
 
         backdropsList.appendChild(card);
+        syncRuntimeBackdrops();
         return card;
     }
     
@@ -3472,14 +3916,17 @@ document.addEventListener('DOMContentLoaded', () => {
         // Create a serializable version of sprites
         const serializableSprites = {};
         for (const id in sprites) {
-            const { animation, ...rest } = sprites[id]; // Exclude non-serializable animation object
+            const { animation, sayText, ...rest } = sprites[id]; // Exclude non-serializable animation object and runtime state
             serializableSprites[id] = rest;
         }
 
         const projectData = {
             sprites: serializableSprites,
             backdrops: backdrops,
-            currentBackdrop: currentBackdrop
+            currentBackdrop: currentBackdrop,
+            variables: runtime.globalVariables,
+            settings: runtime.settings,
+            messages: runtime.messages
         };
 
         const dataStr = JSON.stringify(projectData, null, 2);
@@ -3497,21 +3944,14 @@ document.addEventListener('DOMContentLoaded', () => {
     };
 
     const loadSpriteFromData = (spriteData) => {
-        const { id, name, imageUrl, x, y, direction, opacity, size, rotationStyle, isCustom, characterData, isGif, gifSpeed, sounds, zIndex } = spriteData;
-
-        spriteData.size = size || 100;
-        spriteData.rotationStyle = rotationStyle || 'all-around'; // Add for compatibility
-        spriteData.isGif = isGif || false;
-        spriteData.gifSpeed = gifSpeed || 1.0;
-        spriteData.animation = null; // Will be loaded async
-        spriteData.sounds = sounds || [];
-        spriteData.isJumping = false; // Runtime state, always reset on load
-        spriteData.zIndex = zIndex || nextZIndex++; // Use loaded zIndex or assign a new one
-        spriteData.speed = spriteData.speed || 'instant';
-        spriteData.centerX = spriteData.centerX || 0.5;
-        spriteData.centerY = spriteData.centerY || 0.5;
-        spriteData.activeKeyScriptCount = 0; // Initialize counter for locking
-        sprites[id] = spriteData;
+        runtime.addSprite(spriteData); // Fills in missing fields and resets runtime state.
+        spriteData.zIndex = spriteData.zIndex || nextZIndex++; // Use loaded zIndex or assign a new one
+        addSpriteToStage(spriteData);
+    };
+
+    /** Makes the sprite card and the stage elements of a sprite already in the runtime. */
+    const addSpriteToStage = (spriteData) => {
+        const { id } = spriteData;
 
         createAndAttachSpriteCard(spriteData);
         
@@ -3521,11 +3961,7 @@ document.addEventListener('DOMContentLoaded', () => {
         const mainSprite = document.createElement('div');
         mainSprite.classList.add('sprite-wrapper');
         mainSprite.id = id;
-        mainSprite.innerHTML = `
-            <img src="${imageUrl}" alt="${name}">
-            <canvas class="hidden absolute top-0 left-0 w-full h-full"></canvas>
-            <div class="speech-bubble"></div>
-        `;
+        fillSpriteWrapper(mainSprite, spriteData);
         
         spriteContainer.appendChild(mainSprite);
         stageArea.appendChild(spriteContainer);
@@ -3550,38 +3986,29 @@ document.addEventListener('DOMContentLoaded', () => {
         reader.onload = async (event) => {
             try {
                 const projectData = JSON.parse(event.target.result);
+                const previousSpriteIds = Object.keys(sprites);
 
-                // Robust check for valid project structure
-                if (typeof projectData !== 'object' || projectData === null || 
-                    typeof projectData.sprites !== 'object' || projectData.sprites === null || 
-                    !Array.isArray(projectData.backdrops)) {
-                    throw new Error("Invalid project file.");
-                }
-                
-                stopAllScripts();
-                Object.keys(sprites).forEach(id => {
+                // Checks the file, stops the scripts and replaces the sprites,
+                // variables, settings, messages, compiled scripts and errors.
+                runtime.loadProject(projectData);
+
+                // The rest only redraws the page for the new project.
+                previousSpriteIds.forEach(id => {
                     document.getElementById(`container-${id}`)?.remove();
                     document.querySelector(`.sprite-card[data-sprite-id="${id}"]`)?.remove();
                 });
-
-                sprites = {};
+                touchControls.update();
+                clearErrorBadges();
+                if (errorListPanel) errorListPanel.update();
                 activeSpriteId = null;
                 workspace.clear();
                 backdropsList.innerHTML = '';
-                nextZIndex = 10;
-                
                 projectData.backdrops.forEach(createBackdropCard);
+                syncRuntimeBackdrops();
+                window.switchBackdrop(runtime.currentBackdrop);
 
-                window.switchBackdrop(projectData.currentBackdrop);
-
-                let maxZ = 9;
-                Object.values(projectData.sprites).forEach(spriteData => {
-                    loadSpriteFromData(spriteData);
-                    if (spriteData.zIndex && spriteData.zIndex > maxZ) {
-                        maxZ = spriteData.zIndex;
-                    }
-                });
-                nextZIndex = maxZ + 1;
+                Object.values(sprites).forEach(addSpriteToStage);
+                nextZIndex = Math.max(9, ...Object.values(sprites).map(sprite => sprite.zIndex)) + 1;
                 
                 // Create a list of all unique sounds from all sprites to load into the manager
                 const allSoundsToLoad = [];
@@ -3705,6 +4132,16 @@ document.addEventListener('DOMContentLoaded', () => {
         propRotationLeftRight.addEventListener('click', () => setRotationStyle('left-right'));
         propRotationDontRotate.addEventListener('click', () => setRotationStyle('dont-rotate'));
 
+        propEdgeModeButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                const sprite = getActiveSprite();
+                if (sprite) {
+                    sprite.edgeMode = button.dataset.edgeMode;
+                    updatePropertiesPanel();
+                }
+            });
+        });
+
         gifPlayPauseBtn.addEventListener('click', () => {
             const sprite = getActiveSprite();
             if (sprite && sprite.animation) {
@@ -3849,26 +4286,35 @@ document.addEventListener('DOMContentLoaded', () => {
     }
     
     function gameLoop(timestamp) {
-        if (!lastTimestamp) {
-            lastTimestamp = timestamp;
+        // Ask for the next frame first, so an error in this one can't stop the loop.
+        requestAnimationFrame(gameLoop);
+        runtimeClock.update(timestamp);
+        const frameDeltaTime = runtimeClock.deltaTime;
+
+        // While paused the whole stage is frozen; only the step button advances it.
+        if (scriptRunner && scriptRunner.isPaused) {
+            updateRunningBlockHighlights();
+            return;
         }
-        window.frameDeltaTime = timestamp - lastTimestamp;
-        lastTimestamp = timestamp;
 
         if (backdropScroller) {
-            backdropScroller.update(window.frameDeltaTime / 1000);
+            backdropScroller.update(frameDeltaTime / 1000);
         }
 
-        if (scriptRunner) {
-            scriptRunner.tick();
+        // Gamepad buttons press their keys before the scripts of this frame run.
+        if (gamepadInput) {
+            gamepadInput.poll();
         }
 
+        runtime.tick();
+        updateRunningBlockHighlights();
+
         // Centralized collision check after all sprites have potentially moved
         checkCollisions();
 
-        Object.values(sprites).forEach(sprite => {
+        getAllStageSprites().forEach(sprite => {
             if (sprite.isGif && sprite.animation && (sprite.animation.isPlaying || sprite.animation.previewIsPlaying)) {
-                sprite.animation.timeSinceLastFrame += window.frameDeltaTime;
+                sprite.animation.timeSinceLastFrame += frameDeltaTime;
                 const baseDelay = sprite.animation.frames[sprite.animation.currentFrame].delay * 10;
                 const effectiveSpeed = sprite.animation.isPlaying ? 1.0 : (sprite.gifSpeed || 1.0);
                 const frameDelay = baseDelay / effectiveSpeed;
@@ -3880,8 +4326,6 @@ document.addEventListener('DOMContentLoaded', () => {
                 }
             }
         });
-
-        requestAnimationFrame(gameLoop);
     }
 
     // --- Initial Setup ---
@@ -3907,6 +4351,50 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         });
         centerEditor.init();
+
+        variableDialog = new VariableDialog({
+            getActiveSprite,
+            isNameTaken: isVariableNameTaken,
+            onCreate: createVariable,
+        });
+        variableDialog.init();
+
+        procedureDialog = new ProcedureDialog({
+            getActiveSprite,
+            isNameTaken: isProcedureNameTaken,
+            onCreate: createProcedure,
+        });
+        procedureDialog.init();
+
+        messageDialog = new MessageDialog({
+            getMessages: () => runtime.messages,
+            onCreate: createMessage,
+            onUpdate: updateMessage,
+        });
+        messageDialog.init();
+
+        errorListPanel = new ErrorListPanel({
+            getErrors: () => runtime.errors,
+            onClear: () => runtime.clearErrors(),
+            onSelect: showErrorBlock,
+        });
+        errorListPanel.init();
+
+        projectSettingsDialog = new ProjectSettingsDialog({
+            getSettings: () => runtime.settings,
+            onChange: (changes) => {
+                Object.assign(runtime.settings, changes);
+                touchControls.update();
+            },
+        });
+        projectSettingsDialog.init();
+
+        touchControls = new TouchControls({
+            getSettings: () => runtime.settings,
+        });
+        touchControls.init();
+
+        gamepadInput = new GamepadInput({ runtime });
         
         backdropScroller = new BackdropScroller('scroller-container');
         
@@ -0,0 +1,129 @@
+/**
+ * @fileoverview "New Message" dialog for the KidiCode application.
+ * Lets the user pick a colour and an icon for a broadcast message and give
+ * it a name; the same dialog changes an existing message.
+ */
+
+import { MESSAGE_COLOURS, MESSAGE_ICONS, getMessageIconUrl } from './messages.js';
+
+export class MessageDialog {
+    constructor({ getMessages, onCreate, onUpdate }) {
+        // Dependencies from main app
+        this.getMessages = getMessages;
+        this.onCreate = onCreate;
+        this.onUpdate = onUpdate;
+
+        // DOM Elements
+        this.modal = document.getElementById('message-dialog-modal');
+        this.title = document.getElementById('message-dialog-title');
+        this.preview = document.getElementById('message-dialog-preview');
+        this.nameInput = document.getElementById('message-dialog-name');
+        this.colourList = document.getElementById('message-dialog-colours');
+        this.iconList = document.getElementById('message-dialog-icons');
+        this.errorMessage = document.getElementById('message-dialog-error');
+        this.saveButton = document.getElementById('message-dialog-save-btn');
+        this.cancelButton = document.getElementById('message-dialog-cancel-btn');
+
+        // State
+        this.message = null; // The message being changed; null for a new one.
+        this.onDone = null;
+        this.colour = MESSAGE_COLOURS[0];
+        this.icon = Object.keys(MESSAGE_ICONS)[0];
+    }
+
+    init() {
+        if (!this.modal || !this.nameInput) {
+            console.error('Message dialog elements not found in HTML.');
+            return;
+        }
+
+        MESSAGE_COLOURS.forEach(colour => {
+            const button = document.createElement('button');
+            button.className = 'message-colour-button';
+            button.style.backgroundColor = colour;
+            button.dataset.colour = colour;
+            button.addEventListener('click', () => this.setLook(colour, this.icon));
+            this.colourList.appendChild(button);
+        });
+        Object.keys(MESSAGE_ICONS).forEach(icon => {
+            const button = document.createElement('button');
+            button.className = 'message-icon-button';
+            button.dataset.icon = icon;
+            button.title = icon;
+            button.appendChild(document.createElement('img'));
+            button.addEventListener('click', () => this.setLook(this.colour, icon));
+            this.iconList.appendChild(button);
+        });
+
+        this.saveButton.addEventListener('click', () => this.save());
+        this.cancelButton.addEventListener('click', () => this.close());
+        this.nameInput.addEventListener('input', () => this.showError(''));
+        this.nameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.save();
+            if (e.key === 'Escape') this.close();
+        });
+    }
+
+    /**
+     * @param {?object=} message The message to change, or null to make one.
+     * @param {function(object)=} onDone Called with the saved message.
+     */
+    open(message = null, onDone = null) {
+        this.message = message;
+        this.onDone = onDone;
+        this.title.textContent = message ? 'Change Message' : 'New Message';
+        this.nameInput.value = message ? message.name : '';
+        this.showError('');
+        if (message) {
+            this.setLook(message.colour, message.icon);
+        } else {
+            // Start from a look the other messages are less likely to have.
+            const count = this.getMessages().length;
+            const icons = Object.keys(MESSAGE_ICONS);
+            this.setLook(MESSAGE_COLOURS[count % MESSAGE_COLOURS.length], icons[count % icons.length]);
+        }
+        this.modal.classList.add('visible');
+        this.nameInput.focus();
+    }
+
+    close() {
+        this.modal.classList.remove('visible');
+    }
+
+    setLook(colour, icon) {
+        this.colour = colour;
+        this.icon = icon;
+        this.preview.src = getMessageIconUrl({ colour, icon });
+        this.colourList.querySelectorAll('.message-colour-button').forEach(button => {
+            button.classList.toggle('active', button.dataset.colour === colour);
+        });
+        this.iconList.querySelectorAll('.message-icon-button').forEach(button => {
+            button.classList.toggle('active', button.dataset.icon === icon);
+            button.querySelector('img').src = getMessageIconUrl({ colour, icon: button.dataset.icon });
+        });
+    }
+
+    showError(message) {
+        this.errorMessage.textContent = message;
+        this.errorMessage.classList.toggle('hidden', !message);
+    }
+
+    save() {
+        const messages = this.getMessages();
+        const others = messages.filter(message => message !== this.message);
+        // Kids who cannot type yet may leave the name empty.
+        const name = this.nameInput.value.trim() || this.message?.name || `Message ${messages.length + 1}`;
+        if (others.some(message => message.name.toLowerCase() === name.toLowerCase())) {
+            this.showError('There is already a message with this name.');
+            return;
+        }
+        if (others.some(message => message.colour === this.colour && message.icon === this.icon)) {
+            this.showError('Another message already looks like this.');
+            return;
+        }
+        const look = { name, colour: this.colour, icon: this.icon };
+        const saved = this.message ? this.onUpdate(this.message.id, look) : this.onCreate(look);
+        this.close();
+        if (this.onDone) this.onDone(saved);
+    }
+}
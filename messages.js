@@ -0,0 +1,60 @@
+/**
+ * @fileoverview Broadcast messages of a project. Each message has an id
+ * (the value the broadcast blocks store), a name, a colour and an icon, so
+ * the blocks can show a coloured shape to kids who cannot read yet.
+ */
+
+// The shapes a message can have, as 24x24 SVG paths.
+export const MESSAGE_ICONS = {
+    'heart': 'M12 21.35l-1.45-1.32C5.4 15.36 2 12.28 2 8.5 2 5.42 4.42 3 7.5 3c1.74 0 3.41.81 4.5 2.09C13.09 3.81 14.76 3 16.5 3 19.58 3 22 5.42 22 8.5c0 3.78-3.4 6.86-8.55 11.54L12 21.35z',
+    'star': 'M12 17.27L18.18 21l-1.64-7.03L22 9.24l-7.19-.61L12 2 9.19 8.63 2 9.24l5.46 4.73L5.82 21z',
+    'triangle': 'M1 21h22L12 2 1 21z',
+    'circle': 'M12 2a10 10 0 1 0 0 20 10 10 0 1 0 0-20z',
+    'square': 'M3 3h18v18H3z',
+    'pentagon': 'M12 2.5l7.5 5.5-3 9H7.5l-3-9L12 2.5z',
+    'diamond': 'M12 2l9 10-9 10-9-10z',
+    'moon': 'M21 12.79A9 9 0 1 1 11.21 3 7 7 0 0 0 21 12.79z',
+    'bolt': 'M13 2L4 14h7l-1 8 9-12h-7z',
+};
+
+export const MESSAGE_COLOURS = ['red', 'orange', 'yellow', 'green', 'blue', 'purple', '#EC4899', '#8B5A2B'];
+
+// The messages of a new project. Their ids are the values of the six fixed
+// messages older projects used, so those projects keep working.
+export const DEFAULT_MESSAGES = [
+    { id: 'red_heart', name: 'Red Heart', colour: 'red', icon: 'heart' },
+    { id: 'blue_star', name: 'Blue Star', colour: 'blue', icon: 'star' },
+    { id: 'green_triangle', name: 'Green Triangle', colour: 'green', icon: 'triangle' },
+    { id: 'yellow_circle', name: 'Yellow Circle', colour: 'yellow', icon: 'circle' },
+    { id: 'purple_square', name: 'Purple Square', colour: 'purple', icon: 'square' },
+    { id: 'orange_pentagon', name: 'Orange Pentagon', colour: 'orange', icon: 'pentagon' },
+];
+
+/**
+ * Fills in the messages a project file may be missing. Projects saved
+ * before messages could be made get the default ones.
+ * @param {*} messages The messages from the project file.
+ * @return {!Array<{id: string, name: string, colour: string, icon: string}>}
+ */
+export function normalizeMessages(messages) {
+    if (!Array.isArray(messages)) return DEFAULT_MESSAGES.map(message => ({ ...message }));
+    return messages
+        .filter(message => message && typeof message.id === 'string' && message.id)
+        .map(message => ({
+            id: message.id,
+            name: typeof message.name === 'string' ? message.name : message.id,
+            colour: MESSAGE_COLOURS.includes(message.colour) ? message.colour : MESSAGE_COLOURS[0],
+            icon: MESSAGE_ICONS[message.icon] ? message.icon : 'circle',
+        }));
+}
+
+/**
+ * Draws a message's icon.
+ * @param {{colour: string, icon: string}} message The message.
+ * @return {string} A data: URL of the SVG image.
+ */
+export function getMessageIconUrl(message) {
+    const path = MESSAGE_ICONS[message.icon] || MESSAGE_ICONS['circle'];
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="${message.colour}" stroke="rgba(0,0,0,0.45)" stroke-width="0.5"><path d="${path}"/></svg>`;
+    return 'data:image/svg+xml;utf8,' + encodeURIComponent(svg);
+}
@@ -0,0 +1,130 @@
+/**
+ * @fileoverview "Make a Block" dialog for the KidiCode application.
+ * Lets the user name a new "My Block" and give it number and text inputs.
+ */
+
+export class ProcedureDialog {
+    constructor({ getActiveSprite, isNameTaken, onCreate }) {
+        // Dependencies from main app
+        this.getActiveSprite = getActiveSprite;
+        this.isNameTaken = isNameTaken;
+        this.onCreate = onCreate;
+
+        // DOM Elements
+        this.modal = document.getElementById('procedure-dialog-modal');
+        this.nameInput = document.getElementById('procedure-dialog-name');
+        this.argsList = document.getElementById('procedure-dialog-args');
+        this.addNumberButton = document.getElementById('procedure-add-number-btn');
+        this.addTextButton = document.getElementById('procedure-add-text-btn');
+        this.errorMessage = document.getElementById('procedure-dialog-error');
+        this.saveButton = document.getElementById('procedure-dialog-save-btn');
+        this.cancelButton = document.getElementById('procedure-dialog-cancel-btn');
+
+        // State
+        this.args = [];
+    }
+
+    init() {
+        if (!this.modal || !this.nameInput) {
+            console.error('Procedure dialog elements not found in HTML.');
+            return;
+        }
+
+        this.addNumberButton.addEventListener('click', () => this.addArg('number'));
+        this.addTextButton.addEventListener('click', () => this.addArg('text'));
+        this.saveButton.addEventListener('click', () => this.save());
+        this.cancelButton.addEventListener('click', () => this.close());
+        this.nameInput.addEventListener('input', () => this.showError(''));
+        this.nameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.save();
+            if (e.key === 'Escape') this.close();
+        });
+    }
+
+    open() {
+        const sprite = this.getActiveSprite();
+        if (!sprite) return;
+
+        this.nameInput.value = '';
+        this.args = [];
+        this.renderArgs();
+        this.showError('');
+        this.modal.classList.add('visible');
+        this.nameInput.focus();
+    }
+
+    close() {
+        this.modal.classList.remove('visible');
+    }
+
+    addArg(type) {
+        const base = type === 'number' ? 'number' : 'text';
+        let name = base;
+        let counter = 2;
+        while (this.args.some(arg => arg.name === name)) {
+            name = `${base}${counter}`;
+            counter++;
+        }
+        this.args.push({ name, type });
+        this.renderArgs();
+        this.showError('');
+    }
+
+    renderArgs() {
+        this.argsList.innerHTML = '';
+        this.args.forEach((arg, index) => {
+            const row = document.createElement('div');
+            row.className = `procedure-arg procedure-arg-${arg.type}`;
+
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.maxLength = 15;
+            input.value = arg.name;
+            input.addEventListener('input', () => {
+                arg.name = input.value.trim();
+                this.showError('');
+            });
+
+            const removeButton = document.createElement('button');
+            removeButton.className = 'procedure-arg-remove';
+            removeButton.title = 'Remove';
+            removeButton.textContent = 'X';
+            removeButton.addEventListener('click', () => {
+                this.args.splice(index, 1);
+                this.renderArgs();
+            });
+
+            row.appendChild(input);
+            row.appendChild(removeButton);
+            this.argsList.appendChild(row);
+        });
+    }
+
+    showError(message) {
+        this.errorMessage.textContent = message;
+        this.errorMessage.classList.toggle('hidden', !message);
+    }
+
+    save() {
+        const name = this.nameInput.value.trim();
+        if (!name) {
+            this.showError('Please type a name.');
+            return;
+        }
+        if (this.isNameTaken(name)) {
+            this.showError('There is already a block with this name.');
+            return;
+        }
+        const argNames = this.args.map(arg => arg.name);
+        if (argNames.some(argName => !argName)) {
+            this.showError('Every input needs a name.');
+            return;
+        }
+        if (new Set(argNames).size !== argNames.length) {
+            this.showError('Two inputs have the same name.');
+            return;
+        }
+        this.onCreate(name, this.args.map(arg => ({ ...arg })));
+        this.close();
+    }
+}
@@ -0,0 +1,79 @@
+/**
+ * @fileoverview "Project Settings" dialog for the KidiCode application.
+ * Edits the settings saved with the project (runtime.settings).
+ */
+
+import { KEY_NAMES } from './runtime.js';
+
+// The game controls whose keys can be picked, by their key in
+// settings.controlKeys.
+const CONTROL_LABELS = { up: 'Up', down: 'Down', left: 'Left', right: 'Right', a: 'A button', b: 'B button' };
+const KEY_LABELS = { 'SPACE': 'space', 'UP': 'up arrow', 'DOWN': 'down arrow', 'RIGHT': 'right arrow', 'LEFT': 'left arrow', 'ENTER': 'enter' };
+
+export class ProjectSettingsDialog {
+    constructor({ getSettings, onChange }) {
+        // Dependencies from main app
+        this.getSettings = getSettings;
+        this.onChange = onChange;
+
+        // DOM Elements
+        this.openButton = document.getElementById('project-settings-button');
+        this.modal = document.getElementById('project-settings-modal');
+        this.overlapCheckbox = document.getElementById('setting-allow-overlap');
+        this.touchControlsCheckbox = document.getElementById('setting-touch-controls');
+        this.controlKeysList = document.getElementById('setting-control-keys');
+        this.closeButton = document.getElementById('project-settings-close-btn');
+
+        // The key picker of each game control.
+        this.controlKeySelects = {};
+    }
+
+    init() {
+        if (!this.modal || !this.overlapCheckbox) {
+            console.error('Project settings elements not found in HTML.');
+            return;
+        }
+
+        this.openButton.addEventListener('click', () => this.open());
+        this.closeButton.addEventListener('click', () => this.close());
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) this.close();
+        });
+        this.overlapCheckbox.addEventListener('change', () => {
+            this.onChange({ allowScriptOverlap: this.overlapCheckbox.checked });
+        });
+        this.touchControlsCheckbox.addEventListener('change', () => {
+            this.onChange({ touchControls: this.touchControlsCheckbox.checked });
+        });
+
+        Object.entries(CONTROL_LABELS).forEach(([control, label]) => {
+            const row = document.createElement('label');
+            row.className = 'project-setting-key';
+            const name = document.createElement('span');
+            name.textContent = label;
+            const select = document.createElement('select');
+            KEY_NAMES.forEach(keyName => select.add(new Option(KEY_LABELS[keyName] || keyName, keyName)));
+            select.addEventListener('change', () => {
+                const keys = { ...this.getSettings().controlKeys, [control]: select.value };
+                this.onChange({ controlKeys: keys });
+            });
+            row.append(name, select);
+            this.controlKeysList.appendChild(row);
+            this.controlKeySelects[control] = select;
+        });
+    }
+
+    open() {
+        const settings = this.getSettings();
+        this.overlapCheckbox.checked = settings.allowScriptOverlap;
+        this.touchControlsCheckbox.checked = settings.touchControls;
+        Object.entries(this.controlKeySelects).forEach(([control, select]) => {
+            select.value = settings.controlKeys[control];
+        });
+        this.modal.classList.add('visible');
+    }
+
+    close() {
+        this.modal.classList.remove('visible');
+    }
+}
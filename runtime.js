@@ -0,0 +1,1014 @@
+/**
+ * @fileoverview The KidiCode runtime: the sprite model, the script runner,
+ * event dispatch and collisions, with no dependency on Blockly or the DOM.
+ * The editor drives it from its game loop and draws the stage through a
+ * host object. On its own it runs .kidi projects headless, for example in
+ * Node to test lesson projects or grade submissions:
+ *
+ *   const runtime = new Runtime();
+ *   runtime.loadProject(fs.readFileSync('lesson.kidi', 'utf8'));
+ *   runtime.greenFlag();
+ *   runtime.runFrames(60); // One second at 60 frames per second.
+ *   console.log(runtime.getSpriteByName('Cat').x);
+ */
+
+import { RuntimeClock } from './clock.js';
+import { ScriptRunner, RUNAWAY_SCRIPT_MS } from './script-runner.js';
+import { findBlockById, getRootBlock } from './blockly-xml.js';
+import { SCRIPT_PARAMS, generateValueCode } from './generator.js';
+import { ScriptIndex, compileScript } from './script-index.js';
+import { normalizeMessages } from './messages.js';
+import { STAGE_WIDTH, STAGE_HEIGHT, areSpritesTouching, isSpriteTouchingEdge, isBoundsTouchingEdge, getSpriteBounds, findOverlappingBounds } from './collision.js';
+
+export const MAX_CLONES = 300;
+// Older script errors are dropped beyond this many.
+export const MAX_ERRORS = 100;
+
+// Project settings, saved in the .kidi file.
+export const DEFAULT_SETTINGS = {
+    // Let a hat start another copy of its script while the last one still runs.
+    allowScriptOverlap: false,
+    // Show a D-pad and A/B buttons over the stage in fullscreen, for tablets.
+    touchControls: false,
+    // The key each game control presses, as key field values. The on-screen
+    // controls and gamepads both use them.
+    controlKeys: { up: 'UP', down: 'DOWN', left: 'LEFT', right: 'RIGHT', a: 'SPACE', b: 'ENTER' },
+};
+
+/** Fills in the settings a project file may be missing. */
+export function normalizeSettings(settings) {
+    const loaded = (typeof settings === 'object' && settings) || {};
+    return {
+        ...DEFAULT_SETTINGS,
+        ...loaded,
+        controlKeys: { ...DEFAULT_SETTINGS.controlKeys, ...(loaded.controlKeys || {}) },
+    };
+}
+
+// Maps the key field values of the key blocks to KeyboardEvent.key. The
+// blocks also know the letters 'A'-'Z', the digits '0'-'9' and 'ANY'.
+export const KEY_VALUES = { 'SPACE': ' ', 'UP': 'ArrowUp', 'DOWN': 'ArrowDown', 'RIGHT': 'ArrowRight', 'LEFT': 'ArrowLeft', 'ENTER': 'Enter' };
+
+// Every key field value but 'ANY'.
+export const KEY_NAMES = [...Object.keys(KEY_VALUES), ...'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789'];
+
+/**
+ * Finds the key field value of a key event. Letters and digits are found by
+ * KeyboardEvent.code when there is one, so they are the same keys with any
+ * keyboard layout and with Shift held.
+ * @param {string} key The KeyboardEvent.key value.
+ * @param {string=} code The KeyboardEvent.code value.
+ * @return {?string} 'SPACE', 'A', '7', ..., or null if no block knows the key.
+ */
+export function getKeyName(key, code = '') {
+    const name = Object.keys(KEY_VALUES).find(name => KEY_VALUES[name] === key);
+    if (name) return name;
+    const match = /^Key([A-Z])$/.exec(code) || /^(?:Digit|Numpad)([0-9])$/.exec(code);
+    if (match) return match[1];
+    return /^[a-z0-9]$/i.test(key) ? key.toUpperCase() : null;
+}
+
+/**
+ * The KeyboardEvent key and code of a key field value; the reverse of
+ * getKeyName, for controls that press keys.
+ * @param {string} keyName 'SPACE', 'A', '7', ...
+ * @return {{key: string, code: string}}
+ */
+export function getKeyEventInit(keyName) {
+    if (keyName === 'SPACE') return { key: KEY_VALUES.SPACE, code: 'Space' };
+    if (KEY_VALUES[keyName]) return { key: KEY_VALUES[keyName], code: KEY_VALUES[keyName] };
+    if (/^[0-9]$/.test(keyName)) return { key: keyName, code: `Digit${keyName}` };
+    return { key: keyName.toLowerCase(), code: `Key${keyName}` };
+}
+
+// Headless, each look at the watchdog's clock costs this much time, so a loop
+// that never waits yields after the same number of repeats on any machine.
+const HEADLESS_CHECK_MS = 0.01;
+
+/**
+ * What the runtime tells its host. The editor draws the stage in these;
+ * headless, they do nothing and the results are read from the model.
+ */
+const HEADLESS_HOST = {
+    /** A sprite's position, size, direction or visibility changed. */
+    refreshSprite(sprite) {},
+    /** sprite.sayText changed; null means no speech bubble. */
+    showSpeech(sprite) {},
+    showBackdrop(url) {},
+    scrollBackdrop(direction, speed) {},
+    stopBackdropScroll() {},
+    /** Returns a promise that settles when the sound ends, or null. */
+    playSound(url) { return null; },
+    cloneCreated(clone) {},
+    cloneDeleted(clone) {},
+    scriptsStarted() {},
+    scriptsStopped() {},
+    /** A script threw or ran away and was stopped; see Runtime.recordScriptError. */
+    scriptError(error) {},
+    /** Returns the mask of the costume a sprite shows (see collision.js), or null. */
+    getCostumeMask(sprite) { return null; },
+    /**
+     * Returns the time in ms the watchdog measures scripts by. The editor
+     * uses the wall clock; headless, it is the runtime clock plus a fixed
+     * cost per call, so runs don't depend on the speed of the machine.
+     */
+    now(clock) {
+        this.checkTime = (this.checkTime || 0) + HEADLESS_CHECK_MS;
+        return clock.time + this.checkTime;
+    },
+};
+
+/**
+ * Compares two values the way the comparison blocks expect: as numbers
+ * when both look like numbers, otherwise as case-insensitive text.
+ * @param {*} a The left-hand value.
+ * @param {*} b The right-hand value.
+ * @return {number} Negative if a < b, zero if equal, positive if a > b.
+ */
+export function compareValues(a, b) {
+    const numA = Number(a);
+    const numB = Number(b);
+    const isNumA = typeof a !== 'boolean' && String(a).trim() !== '' && !isNaN(numA);
+    const isNumB = typeof b !== 'boolean' && String(b).trim() !== '' && !isNaN(numB);
+    if (isNumA && isNumB) {
+        return numA - numB;
+    }
+    const textA = String(a).toLowerCase();
+    const textB = String(b).toLowerCase();
+    if (textA < textB) return -1;
+    if (textA > textB) return 1;
+    return 0;
+}
+
+// A clone answers to the id of the sprite it was cloned from.
+export const getOriginalSpriteId = (sprite) => sprite.cloneOf || sprite.id;
+
+// What the motion blocks do when a sprite reaches an edge of the stage:
+// come back on the other side, bounce off, stop at the edge, or go past it.
+export const EDGE_MODES = ['wrap', 'bounce', 'stop', 'none'];
+
+/** Brings a coordinate that left the stage back in on the other side. */
+function wrapCoordinate(value, stageSize) {
+    if (value <= stageSize / 2 && value >= -stageSize / 2) return value;
+    return ((((value + stageSize / 2) % stageSize) + stageSize) % stageSize) - stageSize / 2;
+}
+
+/**
+ * Fills in the fields a sprite loaded from a project file may be missing
+ * and resets its runtime-only state.
+ * @param {object} spriteData The sprite as saved in the project.
+ * @return {object} The same object.
+ */
+export function normalizeSprite(spriteData) {
+    spriteData.x = Number(spriteData.x) || 0;
+    spriteData.y = Number(spriteData.y) || 0;
+    spriteData.direction = spriteData.direction ?? 90;
+    spriteData.opacity = spriteData.opacity ?? 1;
+    spriteData.size = spriteData.size || 100;
+    spriteData.rotationStyle = spriteData.rotationStyle || 'all-around'; // Add for compatibility
+    spriteData.edgeMode = EDGE_MODES.includes(spriteData.edgeMode) ? spriteData.edgeMode : 'wrap';
+    spriteData.isGif = spriteData.isGif || false;
+    spriteData.gifSpeed = spriteData.gifSpeed || 1.0;
+    spriteData.animation = null; // Will be loaded async
+    spriteData.sounds = spriteData.sounds || [];
+    spriteData.isJumping = false; // Runtime state, always reset on load
+    spriteData.speed = spriteData.speed || 'instant';
+    spriteData.centerX = spriteData.centerX || 0.5;
+    spriteData.centerY = spriteData.centerY || 0.5;
+    delete spriteData.activeKeyScriptCount; // The key lock of older versions
+    spriteData.variables = spriteData.variables || {};
+    spriteData.sayText = null;
+    return spriteData;
+}
+
+export class Runtime {
+    /**
+     * @param {{
+     *     clock: (!RuntimeClock|undefined),
+     *     host: (!Object|undefined),
+     *     log: (function(string)|undefined)
+     * }=} options host receives the stage changes (see HEADLESS_HOST);
+     *     log receives the runtime's progress messages.
+     */
+    constructor({ clock = new RuntimeClock(), host = {}, log = () => {} } = {}) {
+        this.clock = clock;
+        this.host = { ...HEADLESS_HOST, ...host };
+        this.log = log;
+
+        this.sprites = {}; // Keyed by sprite id.
+        this.clones = {}; // Temporary runtime copies of sprites, keyed by clone id.
+        this.globalVariables = {}; // Variables shared by all sprites, keyed by variable id.
+        this.backdrops = []; // Backdrop image URLs, in order.
+        this.settings = normalizeSettings(null);
+        this.messages = normalizeMessages(null); // The broadcast messages, in menu order.
+        this.currentBackdrop = null;
+        this.nextCloneNumber = 1;
+        this.collisionState = new Set();
+        this.edgeState = new Set(); // Ids of the sprites touching an edge of the stage.
+        this.executionCancelled = false;
+        this.scriptIndex = new ScriptIndex({
+            onCompileError: (sprite, hat, error) => this.reportCompileError(sprite, hat, error),
+        });
+        this.errors = []; // Script errors, oldest first, for the teacher's error list.
+
+        // Live input state read by the sensing blocks.
+        this.pressedKeys = new Set(); // Key field values; KeyboardEvent.key for keys no block knows.
+        this.mouseX = 0;
+        this.mouseY = 0;
+        this.timerStart = clock.time;
+
+        this.scriptRunner = new ScriptRunner({
+            clock,
+            log,
+            now: () => this.host.now(this.clock),
+            onStart: () => {
+                this.executionCancelled = false;
+                this.host.scriptsStarted();
+            },
+            onStop: () => {
+                this.executionCancelled = true;
+            },
+            onScriptsComplete: () => this.stopAll(),
+            onThreadError: (thread, error) => this.reportThreadError(thread, error),
+            onThreadSuspended: (thread) => this.reportRunawayThread(thread),
+        });
+
+        // Runtime APIs handed to the generated code of every script.
+        this.variables = {
+            get: (sprite, variableId) => {
+                const variable = this.findVariable(sprite, variableId);
+                return variable ? variable.value : 0;
+            },
+            set: (sprite, variableId, value) => {
+                const variable = this.findVariable(sprite, variableId);
+                if (variable) variable.value = value;
+            },
+            change: (sprite, variableId, amount) => {
+                const variable = this.findVariable(sprite, variableId);
+                if (variable) variable.value = (Number(variable.value) || 0) + (Number(amount) || 0);
+            },
+        };
+
+        this.sensing = {
+            touching: (sprite, targetId) => {
+                if (!sprite) return false;
+                if (targetId === 'EDGE') return isSpriteTouchingEdge(sprite, this.host.getCostumeMask(sprite));
+                // A sprite's clones count as that sprite.
+                return this.getAllStageSprites().some(other =>
+                    other.id !== sprite.id &&
+                    (targetId === 'ANY'
+                        ? getOriginalSpriteId(other) !== getOriginalSpriteId(sprite)
+                        : getOriginalSpriteId(other) === targetId) &&
+                    this.areSpritesTouching(sprite, other)
+                );
+            },
+            distanceTo: (sprite, targetId) => {
+                if (!sprite) return 0;
+                const targets = targetId === 'ANY'
+                    ? this.getAllStageSprites().filter(other => getOriginalSpriteId(other) !== getOriginalSpriteId(sprite))
+                    : [this.sprites[targetId]].filter(Boolean);
+                if (targets.length === 0) return 0;
+                const distances = targets.map(other => Math.hypot(other.x - sprite.x, other.y - sprite.y));
+                return Math.round(Math.min(...distances));
+            },
+            mouseX: () => this.mouseX,
+            mouseY: () => this.mouseY,
+            isKeyPressed: (key) => key === 'ANY' ? this.pressedKeys.size > 0 : this.pressedKeys.has(key),
+            timer: () => Math.round((this.clock.time - this.timerStart) / 100) / 10,
+            resetTimer: () => this.resetTimer(),
+        };
+
+        this.cloning = {
+            create: (sprite, targetId) => {
+                const source = targetId === 'MYSELF' ? sprite : this.sprites[targetId];
+                this.createClone(source);
+            },
+            /** Deletes the sprite if it is a clone. Returns true if it was. */
+            deleteSelf: (sprite) => {
+                if (!sprite || !sprite.cloneOf) return false;
+                this.deleteClone(sprite.id);
+                return true;
+            },
+        };
+    }
+
+    // --- Project and sprites ---
+
+    /**
+     * Replaces the current project with the contents of a .kidi file.
+     * @param {string|object} project The file's text or its parsed JSON.
+     */
+    loadProject(project) {
+        const projectData = typeof project === 'string' ? JSON.parse(project) : project;
+        if (typeof projectData !== 'object' || projectData === null ||
+            typeof projectData.sprites !== 'object' || projectData.sprites === null ||
+            !Array.isArray(projectData.backdrops)) {
+            throw new Error("Invalid project file.");
+        }
+
+        this.stopAll();
+        Object.keys(this.sprites).forEach(id => delete this.sprites[id]);
+        this.globalVariables = (typeof projectData.variables === 'object' && projectData.variables) || {};
+        this.settings = normalizeSettings(projectData.settings);
+        this.messages = normalizeMessages(projectData.messages);
+        this.backdrops = [...projectData.backdrops];
+        this.currentBackdrop = projectData.currentBackdrop || null;
+        this.collisionState = new Set();
+        this.edgeState = new Set();
+        this.scriptIndex.clear();
+        this.clearErrors();
+
+        let nextZIndex = 10;
+        Object.values(projectData.sprites).forEach(spriteData => {
+            const sprite = this.addSprite(spriteData);
+            if (!sprite.zIndex) sprite.zIndex = nextZIndex;
+            nextZIndex = Math.max(nextZIndex, sprite.zIndex) + 1;
+        });
+    }
+
+    /**
+     * Adds a sprite from its saved data.
+     * @param {object} spriteData The sprite as saved in the project.
+     * @return {object} The sprite.
+     */
+    addSprite(spriteData) {
+        const sprite = normalizeSprite(spriteData);
+        this.sprites[sprite.id] = sprite;
+        return sprite;
+    }
+
+    /** Returns the first sprite with this name, or null. */
+    getSpriteByName(name) {
+        return Object.values(this.sprites).find(sprite => sprite.name === name) || null;
+    }
+
+    // Sprites and their clones share one id space on the stage.
+    getStageSprite(id) {
+        return this.sprites[id] || this.clones[id] || null;
+    }
+
+    getAllStageSprites() {
+        return [...Object.values(this.sprites), ...Object.values(this.clones)];
+    }
+
+    /**
+     * Finds a variable by id, looking at the sprite's own variables first
+     * and then at the variables shared by all sprites.
+     * @param {object} sprite The sprite running the script.
+     * @param {string} variableId The id of the variable.
+     * @returns {object|null} The variable record ({ name, value }) or null.
+     */
+    findVariable(sprite, variableId) {
+        if (sprite && sprite.variables && sprite.variables[variableId]) {
+            return sprite.variables[variableId];
+        }
+        return this.globalVariables[variableId] || null;
+    }
+
+    // --- Clones ---
+
+    /**
+     * Makes a temporary copy of a sprite (or of a clone) on the stage and
+     * starts its "when I start as a clone" scripts. Clones are never saved.
+     * @param {object} source The sprite or clone to copy.
+     * @return {?object} The new clone, or null if the clone limit is reached.
+     */
+    createClone(source) {
+        if (!source || Object.keys(this.clones).length >= MAX_CLONES) return null;
+
+        const originalId = getOriginalSpriteId(source);
+        const id = `${originalId}-clone-${this.nextCloneNumber++}`;
+
+        // Own position, direction, size and local variable values; shared scripts and sounds.
+        const { animation, ...rest } = source;
+        const clone = {
+            ...rest,
+            id,
+            cloneOf: originalId,
+            variables: JSON.parse(JSON.stringify(source.variables || {})),
+            animation: null,
+            isJumping: false,
+            sayText: null,
+        };
+        this.clones[id] = clone;
+
+        this.host.cloneCreated(clone);
+        this.startHats(clone, 'control_start_as_clone');
+        return clone;
+    }
+
+    deleteClone(id) {
+        const clone = this.clones[id];
+        if (!clone) return;
+        clone.isDeleted = true; // Ends any script still running on this clone.
+        delete this.clones[id];
+        this.host.cloneDeleted(clone);
+
+        for (const key of this.collisionState) {
+            if (key.split('|').includes(id)) this.collisionState.delete(key);
+        }
+        this.edgeState.delete(id);
+    }
+
+    deleteAllClones() {
+        Object.keys(this.clones).forEach(id => this.deleteClone(id));
+        this.nextCloneNumber = 1;
+    }
+
+    // --- Scripts ---
+
+    /**
+     * Creates a thread running a compiled script on a sprite.
+     * @param {object} sprite The sprite (or clone) running the script.
+     * @param {!Function} func The script, from compileScript().
+     * @param {*=} payload The value sent with the message that started it.
+     * @return {!Generator} The thread.
+     */
+    createThread(sprite, func, payload = '') {
+        const generator = func(...this.getScriptArgs(sprite, payload));
+
+        if (!sprite || !sprite.cloneOf) return generator;
+
+        // Scripts of a clone end as soon as the clone is deleted.
+        return (function* () {
+            try {
+                let result = generator.next();
+                while (!result.done && !sprite.isDeleted) {
+                    yield;
+                    result = generator.next();
+                }
+            } finally {
+                generator.return();
+            }
+        })();
+    }
+
+    /** The values of SCRIPT_PARAMS for a script of this sprite. */
+    getScriptArgs(sprite, payload = '') {
+        const runner = this.scriptRunner;
+        return [
+            sprite,
+            this,
+            this.clock,
+            this.variables,
+            this.sensing,
+            this.cloning,
+            compareValues,
+            (scriptSprite, blockId) => runner.reportBlock(scriptSprite, blockId),
+            () => this.executionCancelled,
+            () => runner.shouldYield(),
+            this.log,
+            payload,
+        ];
+    }
+
+    // Clones run the scripts of the sprite they were copied from.
+    getScriptOwner(sprite) {
+        return this.sprites[getOriginalSpriteId(sprite)] || sprite;
+    }
+
+    /**
+     * Starts the script under a hat on a sprite. A hat runs at most one
+     * thread per sprite: starting it again restarts the script, unless the
+     * project allows scripts to overlap.
+     * @param {object} sprite The sprite (or clone).
+     * @param {!Object} hat The script's top block.
+     * @param {!Function} func The script, from compileScript().
+     * @param {*=} payload The value sent with the message that started it.
+     * @return {!Object} The thread record (see ScriptRunner.add).
+     */
+    startScript(sprite, hat, func, payload = '') {
+        if (!this.settings.allowScriptOverlap) {
+            this.scriptRunner.stopScript(sprite, hat.id);
+        }
+        return this.scriptRunner.add(this.createThread(sprite, func, payload), sprite, hat);
+    }
+
+    /**
+     * Starts the scripts of a sprite under a hat.
+     * @param {object} sprite The sprite (or clone).
+     * @param {string} hatType The hat block type.
+     * @param {!Array<string>=} params The hat's field values (see
+     *     ScriptIndex.getScripts).
+     * @param {*=} payload The value sent with the message, for broadcasts.
+     * @return {!Array<!Object>} The thread records of the started scripts.
+     */
+    startHats(sprite, hatType, params = [], payload = '') {
+        if (!sprite) return [];
+        const scripts = this.scriptIndex.getScripts(this.getScriptOwner(sprite), hatType, params);
+        return scripts.map(({ hat, func }) => this.startScript(sprite, hat, func, payload));
+    }
+
+    /**
+     * Runs the green flag scripts of every sprite.
+     * @return {boolean} Whether any script started.
+     */
+    greenFlag() {
+        if (this.scriptRunner.isRunning) {
+            this.log('Script already running. Press stop before running again.');
+            return false;
+        }
+
+        const started = Object.values(this.sprites).reduce((count, sprite) =>
+            count + this.startHats(sprite, 'event_when_flag_clicked').length, 0);
+        if (started === 0) {
+            this.log('No scripts starting with green flag were found.');
+            return false;
+        }
+        this.log('Script started.');
+        this.resetTimer();
+        return true;
+    }
+
+    /** Finds a broadcast message by the id the blocks store. */
+    getMessage(messageId) {
+        return this.messages.find(message => message.id === messageId) || null;
+    }
+
+    /**
+     * Starts the scripts of every sprite that receive a message.
+     * @param {string} message The message id.
+     * @param {*=} payload A number or text the receivers can read.
+     * @return {!Array<!Object>} The thread records of the started scripts,
+     *     for "broadcast and wait".
+     */
+    broadcast(message, payload = '') {
+        const found = this.getMessage(message);
+        this.log(`Received message: ${found ? found.name : message}`);
+        return this.getAllStageSprites().flatMap(sprite =>
+            this.startHats(sprite, 'event_when_broadcast_received', [message], payload));
+    }
+
+    /**
+     * Starts the "when I am told" scripts of one sprite. Its clones don't
+     * hear it; a clone tells itself with "myself".
+     * @param {object} sender The sprite (or clone) telling.
+     * @param {string} targetId The id of the sprite told, or 'MYSELF'.
+     * @param {string} message The message id.
+     * @param {*=} payload A number or text the receivers can read.
+     * @return {!Array<!Object>} The thread records of the started scripts.
+     */
+    tell(sender, targetId, message, payload = '') {
+        const target = targetId === 'MYSELF' ? sender : this.sprites[targetId];
+        if (!target) return [];
+        const found = this.getMessage(message);
+        this.log(`${target.name} was told: ${found ? found.name : message}`);
+        return this.startHats(target, 'event_when_told', [message], payload);
+    }
+
+    /** Whether any of these threads (from broadcast()) is still running. */
+    areThreadsRunning(threads) {
+        return threads.some(thread => !thread.isDone && !thread.isStopped);
+    }
+
+    clickSprite(spriteId) {
+        this.startHats(this.getStageSprite(spriteId), 'event_when_sprite_clicked');
+    }
+
+    /**
+     * The stage was tapped away from the sprites. Moves the mouse to the
+     * tap, so the sensing blocks can tell where it was.
+     * @param {number} x The tap, in stage coordinates.
+     * @param {number} y
+     */
+    tapStage(x, y) {
+        this.moveMouse(x, y);
+        this.getAllStageSprites().forEach(sprite => this.startHats(sprite, 'event_when_stage_tapped'));
+    }
+
+    /** @param {string} direction 'LEFT', 'RIGHT', 'UP' or 'DOWN'. */
+    swipeStage(direction) {
+        this.log(`Stage swiped ${direction.toLowerCase()}.`);
+        this.getAllStageSprites().forEach(sprite => this.startHats(sprite, 'event_when_stage_swiped', [direction]));
+    }
+
+    /**
+     * A key went down. Starts the matching "when key pressed" scripts, and
+     * the "any key" ones for every key, and updates the key state the
+     * sensing blocks read. A held key repeats at the system's rate; only
+     * its first press starts scripts.
+     * @param {string} key The KeyboardEvent.key value.
+     * @param {string=} code The KeyboardEvent.code value.
+     */
+    keyDown(key, code = '') {
+        const keyName = getKeyName(key, code) || key;
+        if (this.pressedKeys.has(keyName)) return;
+        this.pressedKeys.add(keyName);
+        this.getAllStageSprites().forEach(sprite => {
+            this.startHats(sprite, 'event_when_key_pressed', [keyName]);
+            this.startHats(sprite, 'event_when_key_pressed', ['ANY']);
+        });
+    }
+
+    /**
+     * A key went up. Starts the matching "when key released" scripts.
+     * @param {string} key The KeyboardEvent.key value.
+     * @param {string=} code The KeyboardEvent.code value.
+     */
+    keyUp(key, code = '') {
+        this.releaseKey(getKeyName(key, code) || key);
+    }
+
+    /** Releases every key, for when the page can no longer see them go up. */
+    releaseAllKeys() {
+        [...this.pressedKeys].forEach(keyName => this.releaseKey(keyName));
+    }
+
+    /** @param {string} keyName A value of pressedKeys. */
+    releaseKey(keyName) {
+        if (!this.pressedKeys.delete(keyName)) return;
+        this.getAllStageSprites().forEach(sprite => {
+            this.startHats(sprite, 'event_when_key_released', [keyName]);
+            this.startHats(sprite, 'event_when_key_released', ['ANY']);
+        });
+    }
+
+    /**
+     * Starts the "while key held" scripts again when they finish before
+     * their key is released.
+     */
+    restartHeldKeyScripts() {
+        if (this.pressedKeys.size === 0) return;
+        const keyNames = [...this.pressedKeys, 'ANY'];
+        this.getAllStageSprites().forEach(sprite => {
+            const owner = this.getScriptOwner(sprite);
+            keyNames.forEach(keyName => {
+                this.scriptIndex.getScripts(owner, 'event_when_key_pressed', [keyName]).forEach(({ hat, func }) => {
+                    if (hat.fields.MODE === 'HELD' && !this.scriptRunner.isScriptRunning(sprite, hat.id)) {
+                        this.startScript(sprite, hat, func);
+                    }
+                });
+            });
+        });
+    }
+
+    /** Moves the mouse pointer, in stage coordinates. */
+    moveMouse(x, y) {
+        this.mouseX = Math.round(Math.max(-STAGE_WIDTH / 2, Math.min(STAGE_WIDTH / 2, x)));
+        this.mouseY = Math.round(Math.max(-STAGE_HEIGHT / 2, Math.min(STAGE_HEIGHT / 2, y)));
+    }
+
+    resetTimer() {
+        this.timerStart = this.clock.time;
+    }
+
+    /**
+     * Runs a block and the blocks below it on a sprite, as when the block
+     * is clicked in the editor.
+     * @param {object} sprite The sprite.
+     * @param {string} blockId The clicked block.
+     * @param {{skipFirstBlock: (boolean|undefined)}=} options Set
+     *     skipFirstBlock to start below the block, e.g. for a hat.
+     */
+    runBlock(sprite, blockId, { skipFirstBlock = false } = {}) {
+        const topBlocks = this.scriptIndex.getTopBlocks(this.getScriptOwner(sprite));
+        const block = findBlockById(topBlocks, blockId);
+        if (!block) return;
+        const func = compileScript(skipFirstBlock ? block.next : block, topBlocks);
+        if (func) this.startScript(sprite, getRootBlock(block), func);
+    }
+
+    /**
+     * Works out the value of a reporter block for a sprite.
+     * @param {object} sprite The sprite.
+     * @param {string} blockId The reporter block.
+     * @return {*} The value.
+     */
+    evaluateBlock(sprite, blockId) {
+        const topBlocks = this.scriptIndex.getTopBlocks(this.getScriptOwner(sprite));
+        const block = findBlockById(topBlocks, blockId);
+        if (!block) return undefined;
+        const { code, constants } = generateValueCode(block, topBlocks);
+        return new Function(...SCRIPT_PARAMS, 'constants', 'return ' + code)(...this.getScriptArgs(sprite), constants);
+    }
+
+    stopAll() {
+        if (this.scriptRunner.isRunning) {
+            this.log('Stopping all scripts.');
+        }
+        this.scriptRunner.stop();
+        this.deleteAllClones();
+
+        Object.values(this.sprites).forEach(sprite => {
+            if (sprite.sayText !== null) this.hideSpeech(sprite);
+            sprite.isJumping = false; // Fail-safe to reset jump state for all sprites
+        });
+        this.host.scriptsStopped();
+    }
+
+    // --- The stop block ("stop all" calls stopAll) ---
+
+    stopThisScript() {
+        this.scriptRunner.stopCurrentThread();
+    }
+
+    stopOtherScripts(sprite) {
+        this.scriptRunner.stopOtherThreads(sprite);
+    }
+
+    // --- Errors ---
+
+    /**
+     * Records the error of a script that threw. The runner has already
+     * stopped the script; the others keep running.
+     * @param {!Object} thread The runner's thread.
+     * @param {*} error What was thrown.
+     */
+    reportThreadError(thread, error) {
+        this.recordScriptError(thread, 'error', error instanceof Error ? error.message : String(error));
+    }
+
+    /** Records a script that could not be compiled, e.g. for a block this version doesn't know. */
+    reportCompileError(sprite, hat, error) {
+        this.recordScriptError({ sprite, hat, blockId: (error && error.blockId) || hat.id }, 'error',
+            error instanceof Error ? error.message : String(error));
+    }
+
+    /** Records a script the watchdog stopped for running too long without a pause. */
+    reportRunawayThread(thread) {
+        this.recordScriptError(thread, 'runaway',
+            `Stopped after running for ${RUNAWAY_SCRIPT_MS / 1000} seconds without a pause.`);
+    }
+
+    /**
+     * Adds an entry to the error list and tells the host.
+     * @param {!Object} thread The runner's thread, already stopped, or the
+     *     { sprite, hat, blockId } of a script that didn't compile.
+     * @param {string} kind 'error' for a thrown error, 'runaway' for a
+     *     script stopped by the watchdog.
+     * @param {string} message What went wrong.
+     */
+    recordScriptError(thread, kind, message) {
+        const sprite = thread.sprite;
+        const owner = sprite ? this.getScriptOwner(sprite) : null;
+        const block = owner && thread.blockId ? findBlockById(this.scriptIndex.getTopBlocks(owner), thread.blockId) : null;
+        const entry = {
+            time: new Date(),
+            spriteId: owner ? owner.id : null,
+            spriteName: sprite ? sprite.name : '',
+            isClone: !!(sprite && sprite.cloneOf),
+            hatId: thread.hat ? thread.hat.id : null,
+            hatType: thread.hat ? thread.hat.type : null,
+            blockId: thread.blockId,
+            blockType: block ? block.type : null,
+            kind,
+            message,
+        };
+        this.errors.push(entry);
+        if (this.errors.length > MAX_ERRORS) this.errors.shift();
+        this.log(`Error in a script of ${entry.spriteName || 'a sprite'}: ${entry.message}`);
+        this.host.scriptError(entry);
+    }
+
+    clearErrors() {
+        this.errors = [];
+    }
+
+    // --- Frames and collisions ---
+
+    /** Advances every running script by one frame of the clock. */
+    tick() {
+        this.restartHeldKeyScripts();
+        this.scriptRunner.tick();
+    }
+
+    /**
+     * Advances the project by one frame without a browser.
+     * @param {number=} frameMs The length of the frame in milliseconds.
+     */
+    step(frameMs = 1000 / 60) {
+        if (this.scriptRunner.isPaused) return;
+        this.clock.step(frameMs);
+        this.tick();
+        this.checkCollisions();
+    }
+
+    /** Advances the project by a number of frames without a browser. */
+    runFrames(count, frameMs = 1000 / 60) {
+        for (let i = 0; i < count; i++) {
+            this.step(frameMs);
+        }
+    }
+
+    /**
+     * Starts the bump scripts of every pair of sprites that just started
+     * touching, and the edge scripts of every sprite that just reached an
+     * edge of the stage.
+     */
+    checkCollisions() {
+        const stageSprites = this.getAllStageSprites();
+        const masks = stageSprites.map(sprite => this.host.getCostumeMask(sprite));
+        const boundsList = stageSprites.map((sprite, i) => getSpriteBounds(sprite, masks[i]));
+
+        const newEdgeState = new Set();
+        stageSprites.forEach((sprite, i) => {
+            if (!isBoundsTouchingEdge(boundsList[i])) return;
+            newEdgeState.add(sprite.id);
+            if (!this.edgeState.has(sprite.id)) this.startHats(sprite, 'event_when_touching_edge');
+        });
+        this.edgeState = newEdgeState;
+
+        const newCollisionPairs = new Set();
+
+        // Only sprites whose boxes overlap can touch; the grid finds them without comparing every pair.
+        for (const [i, j] of findOverlappingBounds(boundsList)) {
+            // A sprite doesn't bump into its own clones; they usually start on top of it.
+            if (getOriginalSpriteId(stageSprites[i]) === getOriginalSpriteId(stageSprites[j])) continue;
+
+            if (areSpritesTouching(stageSprites[i], stageSprites[j], masks[i], masks[j])) {
+                const collisionKey = [stageSprites[i].id, stageSprites[j].id].sort().join('|');
+                newCollisionPairs.add(collisionKey);
+            }
+        }
+
+        // Find collisions that just started
+        for (const key of newCollisionPairs) {
+            if (!this.collisionState.has(key)) {
+                this.log(`Collision started: ${key}`);
+                const [id1, id2] = key.split('|');
+                this.triggerBumpScripts(id1, id2);
+            }
+        }
+
+        this.collisionState = newCollisionPairs;
+    }
+
+    /** Reports whether the visible pixels of two sprites touch. */
+    areSpritesTouching(sprite1, sprite2) {
+        return areSpritesTouching(sprite1, sprite2,
+            this.host.getCostumeMask(sprite1), this.host.getCostumeMask(sprite2));
+    }
+
+    triggerBumpScripts(id1, id2) {
+        const startBumpScripts = (sprite, other) => {
+            if (!sprite || !other) return;
+            this.startHats(sprite, 'event_when_bump', ['ANY']);
+            this.startHats(sprite, 'event_when_bump', [getOriginalSpriteId(other)]);
+        };
+        startBumpScripts(this.getStageSprite(id1), this.getStageSprite(id2));
+        startBumpScripts(this.getStageSprite(id2), this.getStageSprite(id1));
+    }
+
+    // --- Stage effects used by the generated code ---
+
+    refreshSprite(sprite) {
+        this.host.refreshSprite(sprite);
+    }
+
+    /**
+     * Does what the sprite's edge mode says (see EDGE_MODES) if a move
+     * took it to an edge of the stage. The motion blocks call this after
+     * every move.
+     */
+    keepOnStage(sprite) {
+        switch (sprite.edgeMode) {
+            case 'bounce':
+                this.bounceOffEdge(sprite);
+                break;
+            case 'stop':
+                this.pushOntoStage(sprite);
+                break;
+            case 'none':
+                break;
+            case 'wrap':
+            default:
+                // The position comes back on the other side once it leaves the stage.
+                sprite.x = wrapCoordinate(sprite.x, STAGE_WIDTH);
+                sprite.y = wrapCoordinate(sprite.y, STAGE_HEIGHT);
+                break;
+        }
+    }
+
+    /**
+     * Turns a sprite touching an edge of the stage to point away from it,
+     * as a ball bounces off a wall, and moves it back onto the stage.
+     */
+    bounceOffEdge(sprite) {
+        const edges = this.pushOntoStage(sprite);
+        const radians = sprite.direction * Math.PI / 180;
+        // Direction 0 points up and 90 points right.
+        if ((edges.left && Math.sin(radians) < 0) || (edges.right && Math.sin(radians) > 0)) {
+            sprite.direction = -sprite.direction;
+        }
+        if ((edges.top && Math.cos(radians) > 0) || (edges.bottom && Math.cos(radians) < 0)) {
+            sprite.direction = 180 - sprite.direction;
+        }
+        sprite.direction = ((sprite.direction % 360) + 360) % 360;
+    }
+
+    /**
+     * Moves a sprite that is past an edge of the stage back to the edge.
+     * @return {{left: boolean, right: boolean, top: boolean, bottom: boolean}}
+     *     The edges the sprite touches.
+     */
+    pushOntoStage(sprite) {
+        const bounds = getSpriteBounds(sprite, this.host.getCostumeMask(sprite));
+        if (!bounds) return { left: false, right: false, top: false, bottom: false };
+        const edges = {
+            left: bounds.left <= -STAGE_WIDTH / 2,
+            right: bounds.right >= STAGE_WIDTH / 2,
+            top: bounds.top >= STAGE_HEIGHT / 2,
+            bottom: bounds.bottom <= -STAGE_HEIGHT / 2,
+        };
+        if (edges.left) sprite.x += -STAGE_WIDTH / 2 - bounds.left;
+        else if (edges.right) sprite.x += STAGE_WIDTH / 2 - bounds.right;
+        if (edges.bottom) sprite.y += -STAGE_HEIGHT / 2 - bounds.bottom;
+        else if (edges.top) sprite.y += STAGE_HEIGHT / 2 - bounds.top;
+        return edges;
+    }
+
+    say(sprite, message) {
+        sprite.sayText = String(message);
+        this.host.showSpeech(sprite);
+    }
+
+    hideSpeech(sprite) {
+        sprite.sayText = null;
+        this.host.showSpeech(sprite);
+    }
+
+    switchBackdrop(url) {
+        this.currentBackdrop = url;
+        this.host.showBackdrop(url);
+    }
+
+    switchToNextBackdrop() {
+        if (this.backdrops.length < 2) {
+            this.log('Not enough backdrops to switch to next.');
+            return;
+        }
+        const currentIndex = this.backdrops.indexOf(this.currentBackdrop);
+        this.switchBackdrop(this.backdrops[(currentIndex + 1) % this.backdrops.length]);
+    }
+
+    switchToRandomBackdrop() {
+        if (this.backdrops.length === 0) {
+            this.log('No backdrops for random selection.');
+            return;
+        }
+        this.switchBackdrop(this.backdrops[Math.floor(Math.random() * this.backdrops.length)]);
+    }
+
+    changeSpriteLayer(sprite, action) {
+        if (!sprite) return;
+
+        const sortedSprites = Object.values(this.sprites).sort((a, b) => a.zIndex - b.zIndex);
+        const currentIndex = sortedSprites.findIndex(s => s.id === sprite.id);
+
+        if (currentIndex === -1) return;
+
+        // Reorder the array based on the action
+        const [removed] = sortedSprites.splice(currentIndex, 1); // remove the sprite from its current position
+        switch (action) {
+            case 'FORWARD':
+                // Insert it one position ahead, capped at the end
+                sortedSprites.splice(Math.min(currentIndex + 1, sortedSprites.length), 0, removed);
+                break;
+            case 'BACKWARD':
+                // Insert it one position behind, capped at the start
+                sortedSprites.splice(Math.max(currentIndex - 1, 0), 0, removed);
+                break;
+            case 'FRONT':
+                sortedSprites.push(removed); // Add to the end
+                break;
+            case 'BACK':
+                sortedSprites.unshift(removed); // Add to the beginning
+                break;
+        }
+
+        // Re-assign z-indices based on the new order
+        const baseZIndex = 10;
+        sortedSprites.forEach((s, index) => {
+            s.zIndex = baseZIndex + index;
+        });
+
+        // Update the appearance of all sprites on the stage
+        Object.values(this.sprites).forEach(s => this.refreshSprite(s));
+    }
+
+    scrollBackdrop(direction, speed) {
+        this.host.scrollBackdrop(direction, speed);
+    }
+
+    stopBackdropScroll() {
+        this.host.stopBackdropScroll();
+    }
+
+    /**
+     * Starts a sound through the host.
+     * @param {string} url The sound's URL.
+     * @return {{isDone: boolean}} Becomes done when the sound ends; at once
+     *     if the host can't play it.
+     */
+    playSound(url) {
+        const sound = { isDone: false };
+        const playing = this.host.playSound(url);
+        if (playing && typeof playing.then === 'function') {
+            const finish = () => { sound.isDone = true; };
+            playing.then(finish, finish);
+        } else {
+            sound.isDone = true;
+        }
+        return sound;
+    }
+}
@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Compiled scripts of each sprite, grouped by their hat block.
+ * A sprite's workspace XML is parsed and compiled once; after that an event
+ * only looks up the scripts it starts. The entry of a sprite is rebuilt
+ * when its workspace XML changes.
+ */
+
+import { parseWorkspaceXml } from './blockly-xml.js';
+import { SCRIPT_PARAMS, generateScriptCode } from './generator.js';
+
+const GeneratorFunction = Object.getPrototypeOf(function*(){}).constructor;
+
+// The hat blocks that start scripts, with the fields that pick which event
+// starts them (the key, the message, ...).
+const HAT_FIELDS = {
+    'event_when_flag_clicked': [],
+    'event_when_sprite_clicked': [],
+    'event_when_key_pressed': ['KEY'],
+    'event_when_key_released': ['KEY'],
+    'event_when_bump': ['TARGET_SPRITE'],
+    'event_when_touching_edge': [],
+    'event_when_broadcast_received': ['MESSAGE'],
+    'event_when_told': ['MESSAGE'],
+    'event_when_stage_tapped': [],
+    'event_when_stage_swiped': ['DIRECTION'],
+    'control_start_as_clone': [],
+};
+
+const getHatKey = (hatType, params) => JSON.stringify([hatType, ...params.map(String)]);
+
+/**
+ * Compiles a chain of blocks into a function that takes the values of
+ * SCRIPT_PARAMS and returns the script's generator.
+ * @param {?Object} firstBlock The first block to run.
+ * @param {!Array<!Object>} topBlocks The top blocks of the sprite's workspace.
+ * @return {?Function} The function, or null if the chain has no code.
+ */
+export function compileScript(firstBlock, topBlocks) {
+    const { code, constants } = generateScriptCode(firstBlock, topBlocks);
+    if (!code) return null;
+    const func = new GeneratorFunction(...SCRIPT_PARAMS, 'constants', code);
+    return (...args) => func(...args, constants);
+}
+
+function buildEntry(xml) {
+    const topBlocks = parseWorkspaceXml(xml);
+    const scripts = new Map();
+    const errors = []; // The scripts that failed to compile, as { hat, error }.
+    topBlocks.forEach(hat => {
+        const fields = HAT_FIELDS[hat.type];
+        if (!fields || !hat.next) return;
+        // A block that can't be compiled drops only its own script.
+        let func;
+        try {
+            func = compileScript(hat.next, topBlocks);
+        } catch (error) {
+            errors.push({ hat, error });
+            return;
+        }
+        if (!func) return;
+        const key = getHatKey(hat.type, fields.map(name => hat.fields[name]));
+        if (!scripts.has(key)) scripts.set(key, []);
+        scripts.get(key).push({ hat, func });
+    });
+    return { xml, topBlocks, scripts, errors };
+}
+
+export class ScriptIndex {
+    /**
+     * @param {{onCompileError: (function(object, !Object, *)|undefined)}=} options
+     *     onCompileError is called with the sprite, the hat and the error
+     *     of each script that fails to compile.
+     */
+    constructor({ onCompileError = () => {} } = {}) {
+        this.onCompileError = onCompileError;
+        this.entries = new Map(); // Keyed by sprite id.
+    }
+
+    getEntry(sprite) {
+        let entry = this.entries.get(sprite.id);
+        if (!entry || entry.xml !== sprite.workspaceXml) {
+            entry = buildEntry(sprite.workspaceXml);
+            this.entries.set(sprite.id, entry);
+            // Reported once the entry is stored, as reporting reads it.
+            entry.errors.forEach(({ hat, error }) => this.onCompileError(sprite, hat, error));
+        }
+        return entry;
+    }
+
+    /** The parsed top blocks of a sprite's workspace. */
+    getTopBlocks(sprite) {
+        return this.getEntry(sprite).topBlocks;
+    }
+
+    /**
+     * Returns the compiled scripts under a hat.
+     * @param {object} sprite The sprite that owns the scripts.
+     * @param {string} hatType The hat block type.
+     * @param {!Array<string>=} params The values of the hat's fields listed
+     *     in HAT_FIELDS, in order.
+     * @return {!Array<{hat: !Object, func: !Function}>} The scripts.
+     */
+    getScripts(sprite, hatType, params = []) {
+        return this.getEntry(sprite).scripts.get(getHatKey(hatType, params)) || [];
+    }
+
+    /** Drops the entry of a sprite that was deleted. */
+    forget(spriteId) {
+        this.entries.delete(spriteId);
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+}
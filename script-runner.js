@@ -0,0 +1,234 @@
+/**
+ * @fileoverview Frame-based script execution engine (like Scratch). Every
+ * running script is a generator; each frame the runner advances every
+ * thread up to its next yield.
+ */
+
+// Time one thread may run in a frame before its loops are made to yield.
+export const FRAME_BUDGET_MS = 30;
+// A script that runs this long in total without yielding by itself is stopped.
+export const RUNAWAY_SCRIPT_MS = 3000;
+
+export class ScriptRunner {
+    /**
+     * @param {{
+     *     clock: !Object,
+     *     onStart: (function()|undefined),
+     *     onStop: (function()|undefined),
+     *     onScriptsComplete: (function()|undefined),
+     *     onThreadError: (function(!Object, *)|undefined),
+     *     onThreadSuspended: (function(!Object)|undefined),
+     *     log: (function(string)|undefined),
+     *     now: function(): number
+     * }} options clock is the RuntimeClock the timed blocks read.
+     *     onThreadError gets a thread that threw and the error, and
+     *     onThreadSuspended a runaway thread; either thread has already been
+     *     stopped. now returns the time in milliseconds the watchdog
+     *     measures threads by.
+     */
+    constructor({ clock, onStart, onStop, onScriptsComplete, onThreadError, onThreadSuspended, log = () => {}, now }) {
+        this.clock = clock;
+        // Each thread is { generator, sprite, hat, blockId, busyTime, wasForcedToYield, isStopped, isDone }.
+        this.threads = [];
+        this.isRunning = false;
+        this.isPaused = false;
+        this.currentThread = null; // The thread being stepped, for reportBlock().
+        this.onStart = onStart;
+        this.onStop = onStop;
+        this.onScriptsComplete = onScriptsComplete; // Callback for when all scripts are done.
+        this.onThreadError = onThreadError;
+        this.onThreadSuspended = onThreadSuspended;
+        this.log = log;
+        this.now = now;
+        this.threadStart = 0; // When the current thread's step began.
+    }
+
+    /**
+     * @param {!Generator} generator The script's generator.
+     * @param {?object=} sprite The sprite (or clone) running the script.
+     * @param {?Object=} hat The top block of the script.
+     * @return {!Object} The thread record; isDone or isStopped is set when
+     *     the thread ends.
+     */
+    add(generator, sprite = null, hat = null) {
+        const thread = { generator, sprite, hat, blockId: null, busyTime: 0, wasForcedToYield: false, isStopped: false, isDone: false };
+        this.threads.push(thread);
+        if (!this.isRunning) {
+            this.start();
+        }
+        return thread;
+    }
+
+    start() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+        this.isPaused = false;
+        this.clock.resume();
+        this.log('Script runner started.');
+        if (this.onStart) this.onStart();
+    }
+
+    stop() {
+        this.threads = [];
+        this.isRunning = false;
+        this.isPaused = false;
+        this.clock.resume();
+        this.log('Script runner stopped.');
+        if (this.onStop) this.onStop();
+    }
+
+    pause() {
+        if (!this.isRunning || this.isPaused) return;
+        this.isPaused = true;
+        this.clock.pause();
+        this.log('Scripts paused.');
+    }
+
+    resume() {
+        if (!this.isPaused) return;
+        this.isPaused = false;
+        this.clock.resume();
+        this.log('Scripts resumed.');
+    }
+
+    /** Runs a single frame of every thread while paused. */
+    step() {
+        if (!this.isRunning || !this.isPaused) return;
+        this.clock.step();
+        this.runFrame();
+    }
+
+    /**
+     * Called by the generated code before each statement block runs.
+     * @param {object} sprite The sprite running the thread.
+     * @param {string} blockId The id of the block about to run.
+     */
+    reportBlock(sprite, blockId) {
+        if (!this.currentThread) return;
+        this.currentThread.sprite = sprite;
+        this.currentThread.blockId = blockId;
+    }
+
+    /**
+     * Stops the threads running the script under a hat on a sprite (or
+     * clone). They are taken out of the list at the end of the frame.
+     * @param {object} sprite The sprite.
+     * @param {string} hatId The id of the script's hat block.
+     */
+    stopScript(sprite, hatId) {
+        this.threads.forEach(thread => {
+            if (thread.sprite === sprite && thread.hat && thread.hat.id === hatId) {
+                thread.isStopped = true;
+            }
+        });
+    }
+
+    /** Whether a thread of the script under a hat is running on a sprite. */
+    isScriptRunning(sprite, hatId) {
+        return this.threads.some(thread => thread.sprite === sprite && thread.hat && thread.hat.id === hatId &&
+            !thread.isStopped && !thread.isDone);
+    }
+
+    /** Stops the thread that is running now. */
+    stopCurrentThread() {
+        if (this.currentThread) this.currentThread.isStopped = true;
+    }
+
+    /**
+     * Stops every thread of a sprite (or clone) except the one running now.
+     * @param {object} sprite The sprite.
+     */
+    stopOtherThreads(sprite) {
+        this.threads.forEach(thread => {
+            if (thread.sprite === sprite && thread !== this.currentThread) {
+                thread.isStopped = true;
+            }
+        });
+    }
+
+    /**
+     * Called by the loops of the generated code. Returns true when the
+     * thread has used up its time this frame and must yield to keep the page
+     * responsive. Only the thread's own time counts, so a slow thread doesn't
+     * make the ones after it yield.
+     */
+    shouldYield() {
+        if (!this.currentThread || this.now() - this.threadStart < FRAME_BUDGET_MS) return false;
+        this.currentThread.wasForcedToYield = true;
+        return true;
+    }
+
+    /**
+     * Returns the ids of the blocks the threads of a sprite (and its
+     * clones) are currently on.
+     */
+    getCurrentBlockIds(spriteId) {
+        return this.threads
+            .filter(thread => !thread.isStopped && thread.blockId && thread.sprite && (thread.sprite.cloneOf || thread.sprite.id) === spriteId)
+            .map(thread => thread.blockId);
+    }
+
+    tick() {
+        if (!this.isRunning || this.isPaused) return;
+        this.runFrame();
+    }
+
+    runFrame() {
+        for (let i = this.threads.length - 1; i >= 0; i--) {
+            const thread = this.threads[i];
+            if (!thread) continue; // A thread may have stopped all scripts.
+            if (thread.isStopped) continue;
+            this.currentThread = thread;
+            this.threadStart = this.now();
+            thread.wasForcedToYield = false;
+            let result;
+            try {
+                result = thread.generator.next();
+            } catch (error) {
+                // Only this thread stops; the other scripts keep running.
+                thread.isStopped = thread.isDone = true;
+                if (this.onThreadError) this.onThreadError(thread, error);
+                continue;
+            }
+            if (result.done) {
+                thread.isStopped = thread.isDone = true;
+                continue;
+            }
+
+            // Watchdog: a thread that only ever yields because it was made to is
+            // stuck in a loop. Yielding by itself once shows it isn't.
+            if (!thread.wasForcedToYield) {
+                thread.busyTime = 0;
+            } else {
+                thread.busyTime += this.now() - this.threadStart;
+                if (thread.busyTime >= RUNAWAY_SCRIPT_MS) {
+                    thread.isStopped = true;
+                    this.log('Stopped a script that ran too long without a pause.');
+                    if (this.onThreadSuspended) this.onThreadSuspended(thread);
+                }
+            }
+        }
+        this.currentThread = null;
+        // Threads are only taken out here, so a script can stop others without upsetting the loop above.
+        this.threads = this.threads.filter(thread => {
+            if (!thread.isStopped) return true;
+            if (!thread.isDone) {
+                // Runs the script's finally blocks, e.g. to land a jumping sprite.
+                try {
+                    thread.generator.return();
+                } catch (error) {
+                    this.log(`Error while stopping a script: ${error}`);
+                }
+            }
+            return false;
+        });
+
+        if (this.isRunning && this.threads.length === 0) {
+            this.isRunning = false; // Set running to false before calling callback
+            // All scripts finished naturally. Call the completion callback.
+            if (this.onScriptsComplete) {
+                this.onScriptsComplete();
+            }
+        }
+    }
+}
@@ -0,0 +1,71 @@
+/**
+ * @fileoverview On-screen game controls for tablets: a D-pad and A/B
+ * buttons over the stage in fullscreen. They send the same keydown and
+ * keyup events as a keyboard, so the key blocks work with them. Whether
+ * they show and which keys they press (controlKeys) are project settings.
+ */
+
+import { getKeyEventInit } from './runtime.js';
+
+export class TouchControls {
+    constructor({ getSettings }) {
+        // Dependencies from main app
+        this.getSettings = getSettings;
+
+        // DOM Elements
+        this.container = document.getElementById('touch-controls');
+
+        // State
+        this.pressedKeys = new Map(); // The key each held control pressed, by control.
+    }
+
+    init() {
+        if (!this.container) {
+            console.error('Touch controls not found in HTML.');
+            return;
+        }
+
+        this.container.querySelectorAll('[data-control]').forEach(button => {
+            const control = button.dataset.control;
+            button.addEventListener('pointerdown', (e) => {
+                e.preventDefault();
+                button.setPointerCapture(e.pointerId);
+                this.press(control);
+            });
+            ['pointerup', 'pointercancel', 'lostpointercapture'].forEach(type => {
+                button.addEventListener(type, () => this.release(control));
+            });
+            button.addEventListener('contextmenu', (e) => e.preventDefault());
+        });
+        this.update();
+    }
+
+    /** Call when the settings change. */
+    update() {
+        if (!this.container) return;
+        const enabled = this.getSettings().touchControls;
+        this.container.classList.toggle('enabled', enabled);
+        if (!enabled) this.releaseAll();
+    }
+
+    press(control) {
+        if (this.pressedKeys.has(control)) return;
+        const keyName = this.getSettings().controlKeys[control];
+        if (!keyName) return;
+        this.pressedKeys.set(control, keyName);
+        this.container.querySelector(`[data-control="${control}"]`).classList.add('active');
+        document.dispatchEvent(new KeyboardEvent('keydown', getKeyEventInit(keyName)));
+    }
+
+    release(control) {
+        const keyName = this.pressedKeys.get(control);
+        if (!keyName) return;
+        this.pressedKeys.delete(control);
+        this.container.querySelector(`[data-control="${control}"]`).classList.remove('active');
+        document.dispatchEvent(new KeyboardEvent('keyup', getKeyEventInit(keyName)));
+    }
+
+    releaseAll() {
+        [...this.pressedKeys.keys()].forEach(control => this.release(control));
+    }
+}
@@ -0,0 +1,83 @@
+/**
+ * @fileoverview "Make a Variable" dialog for the KidiCode application.
+ * Lets the user name a new variable and choose whether it belongs to the
+ * active sprite only or is shared by all sprites.
+ */
+
+export class VariableDialog {
+    constructor({ getActiveSprite, isNameTaken, onCreate }) {
+        // Dependencies from main app
+        this.getActiveSprite = getActiveSprite;
+        this.isNameTaken = isNameTaken;
+        this.onCreate = onCreate;
+
+        // DOM Elements
+        this.modal = document.getElementById('variable-dialog-modal');
+        this.nameInput = document.getElementById('variable-dialog-name');
+        this.spriteScopeButton = document.getElementById('variable-scope-sprite');
+        this.globalScopeButton = document.getElementById('variable-scope-global');
+        this.errorMessage = document.getElementById('variable-dialog-error');
+        this.saveButton = document.getElementById('variable-dialog-save-btn');
+        this.cancelButton = document.getElementById('variable-dialog-cancel-btn');
+
+        // State
+        this.scope = 'sprite';
+    }
+
+    init() {
+        if (!this.modal || !this.nameInput) {
+            console.error('Variable dialog elements not found in HTML.');
+            return;
+        }
+
+        this.spriteScopeButton.addEventListener('click', () => this.setScope('sprite'));
+        this.globalScopeButton.addEventListener('click', () => this.setScope('global'));
+        this.saveButton.addEventListener('click', () => this.save());
+        this.cancelButton.addEventListener('click', () => this.close());
+        this.nameInput.addEventListener('input', () => this.showError(''));
+        this.nameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.save();
+            if (e.key === 'Escape') this.close();
+        });
+    }
+
+    open() {
+        const sprite = this.getActiveSprite();
+        if (!sprite) return;
+
+        this.nameInput.value = '';
+        this.showError('');
+        this.setScope('sprite');
+        this.modal.classList.add('visible');
+        this.nameInput.focus();
+    }
+
+    close() {
+        this.modal.classList.remove('visible');
+    }
+
+    setScope(scope) {
+        this.scope = scope;
+        this.spriteScopeButton.classList.toggle('active', scope === 'sprite');
+        this.globalScopeButton.classList.toggle('active', scope === 'global');
+    }
+
+    showError(message) {
+        this.errorMessage.textContent = message;
+        this.errorMessage.classList.toggle('hidden', !message);
+    }
+
+    save() {
+        const name = this.nameInput.value.trim();
+        if (!name) {
+            this.showError('Please type a name.');
+            return;
+        }
+        if (this.isNameTaken(name, this.scope)) {
+            this.showError('There is already a variable with this name.');
+            return;
+        }
+        this.onCreate(name, this.scope);
+        this.close();
+    }
+}